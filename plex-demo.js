@@ -14,6 +14,9 @@
 
 import fs from "fs/promises";
 import { performance } from "perf_hooks";
+import plex from "./plex.js";
+
+const { SparseEngine } = plex;
 
 /* -------------------- Helpers -------------------- */
 
@@ -24,61 +27,6 @@ const say = async (msg, delay = 500) => {
   await sleep(delay);
 };
 
-/* -------------------- Sparse Engine -------------------- */
-
-class SparseEngine {
-  static docs = [];
-  static idf = new Map();
-  static avgLen = 0;
-  static k1 = 1.2;
-  static b = 0.75;
-
-  static tokenize(item) {
-    return ["city", "state", "zip", "_id"]
-      .map(f => (item[f] || "").toString().toLowerCase())
-      .join(" ")
-      .split(/\s+/)
-      .filter(Boolean);
-  }
-
-  static init(docs) {
-    this.docs = docs;
-    const df = new Map();
-    let totalLen = 0;
-
-    docs.forEach(doc => {
-      const tokens = this.tokenize(doc);
-      totalLen += tokens.length;
-      const seen = new Set(tokens);
-      seen.forEach(t => df.set(t, (df.get(t) || 0) + 1));
-    });
-
-    this.avgLen = totalLen / docs.length;
-
-    for (const [term, count] of df) {
-      this.idf.set(term, Math.log((docs.length - count + 0.5) / (count + 0.5) + 1));
-    }
-  }
-
-  static score(queryTokens, doc) {
-    const tokens = this.tokenize(doc);
-    const freq = new Map();
-    tokens.forEach(t => freq.set(t, (freq.get(t) || 0) + 1));
-
-    let score = 0;
-    for (const q of queryTokens) {
-      const tf = freq.get(q) || 0;
-      if (!tf) continue;
-
-      const idf = this.idf.get(q) || 0;
-      score += idf *
-        ((tf * (this.k1 + 1)) /
-         (tf + this.k1 * (1 - this.b + this.b * tokens.length / this.avgLen)));
-    }
-    return score;
-  }
-}
-
 /* -------------------- Demo -------------------- */
 
 (async () => {
@@ -91,7 +39,7 @@ class SparseEngine {
   await say("Building exact search index (no AI, no guessing)...");
 
   const t0 = performance.now();
-  SparseEngine.init(data);
+  const engine = new SparseEngine().build(data);
   const t1 = performance.now();
 
   await say(`Index built in ${(t1 - t0).toFixed(0)} milliseconds.\n`);
@@ -106,12 +54,9 @@ class SparseEngine {
   for (const { q, explain } of tests) {
     await say(`Searching for "${q}" (${explain})...`);
 
-    const qt = q.toLowerCase().split(/\s+/);
     const start = performance.now();
 
-    const scored = data
-      .map(d => SparseEngine.score(qt, d))
-      .filter(s => s > 0);
+    const scored = engine.search(q);
 
     const end = performance.now();
 
@@ -16,88 +16,25 @@
 
 const isNode = typeof process !== "undefined" && !!process.versions?.node;
 let perf = (typeof performance !== "undefined") ? performance : null;
-let fs, path, fetchFunc;
+let SparseEngine, readDataset, seededRandom;
 
 if (isNode) {
   // Node.js environment
-  fs = require("fs");
-  path = require("path");
   perf = require("perf_hooks").performance;
-
-  fetchFunc = async (url) => {
-    if (url.startsWith("http://") || url.startsWith("https://")) {
-      const fetchMod = require("node-fetch");
-      return fetchMod(url);
-    } else {
-      // Local file
-      const absPath = path.resolve(url);
-      const text = await fs.promises.readFile(absPath, "utf-8");
-      return { text: async () => text };
-    }
-  };
+  ({ SparseEngine, readDataset, seededRandom } = require("./plex.js"));
 } else {
   // Browser environment
   perf = performance;
-  fetchFunc = fetch;
-}
-
-// -------------------- Sparse Engine --------------------
-class SparseEngine {
-  constructor() {
-    this.docs = [];
-    this.idf = new Map();
-    this.avgLen = 0;
-    this.k1 = 1.2;
-    this.b = 0.75;
-  }
-
-  tokenize(item) {
-    return ["city", "state", "zip", "_id"]
-      .map(f => (item[f] || "").toString().toLowerCase())
-      .join(" ")
-      .split(/\s+/)
-      .filter(Boolean);
-  }
-
-  init(docs) {
-    this.docs = docs;
-    const df = new Map();
-    let total = 0;
-
-    docs.forEach(d => {
-      const tokens = this.tokenize(d);
-      total += tokens.length;
-      new Set(tokens).forEach(t => df.set(t, (df.get(t) || 0) + 1));
-    });
-
-    this.avgLen = total / docs.length;
-
-    for (const [t, c] of df) {
-      this.idf.set(t, Math.log((docs.length - c + 0.5) / (c + 0.5) + 1));
-    }
-  }
-
-  score(query, doc) {
-    const tokens = this.tokenize(doc);
-    const freq = new Map();
-    tokens.forEach(t => freq.set(t, (freq.get(t) || 0) + 1));
-
-    let score = 0;
-    for (const q of query) {
-      const tf = freq.get(q) || 0;
-      if (!tf) continue;
-      const idf = this.idf.get(q) || 0;
-      score += idf * ((tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * tokens.length / this.avgLen)));
-    }
-    return score;
-  }
+  ({ SparseEngine, readDataset, seededRandom } = window.PLEX);
 }
 
 // -------------------- Dense Simulation --------------------
+// Random embeddings, seeded by the query so every run does the same work.
 function denseSimulation(query, docs) {
   const EMBED_DIM = 768;
-  const vectors = docs.map(() => Array.from({ length: EMBED_DIM }, () => Math.random()));
-  const queryVec = Array.from({ length: EMBED_DIM }, () => Math.random());
+  const random = seededRandom(query.join(" "));
+  const vectors = docs.map(() => Array.from({ length: EMBED_DIM }, random));
+  const queryVec = Array.from({ length: EMBED_DIM }, random);
 
   let best = 0;
   for (const v of vectors) {
@@ -127,20 +64,13 @@ function calculateStats(queryVolumePerMonth) {
 }
 
 // -------------------- CSV Parsing --------------------
+// Columns: ZIP,COUNTYNAME,STATE,STCOUNTYFP,CLASSFP (all kept as strings).
 async function loadCSV(filePath) {
-  const res = await fetchFunc(filePath);
-  const text = await res.text();
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const headers = lines[0].split(",").map(h => h.trim());
-
-  return lines.slice(1).map(line => {
-    const parts = line.match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g) || [];
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = parts[i]?.replace(/^"|"$/g, "")?.trim();
-    });
-    return { _id: obj.ZIP, zip: obj.ZIP, city: obj.CITY, state: obj.STATE };
-  });
+  const data = [];
+  for await (const row of readDataset(filePath, { format: "csv" })) {
+    data.push({ _id: row.ZIP, zip: row.ZIP, city: row.COUNTYNAME, state: row.STATE });
+  }
+  return data;
 }
 
 // -------------------- Demo Runner --------------------
@@ -157,7 +87,7 @@ async function runDemo() {
   const engine = new SparseEngine();
   console.log("Building PLEX sparse index...");
   const t0 = perf.now();
-  engine.init(data);
+  engine.build(data);
   const t1 = perf.now();
   console.log(`PLEX index built in ${(t1 - t0).toFixed(1)} ms\n`);
 
@@ -165,7 +95,7 @@ async function runDemo() {
   for (const q of queries) {
     const tokens = q.toLowerCase().split(/\s+/);
     const s0 = perf.now();
-    const sparseHits = data.filter(d => engine.score(tokens, d) > 0);
+    const sparseHits = engine.search(q);
     const s1 = perf.now();
     const denseTime = denseSimulation(tokens, data);
 
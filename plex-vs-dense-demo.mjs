@@ -6,102 +6,26 @@
 const isNode = typeof process !== "undefined" && !!process.versions?.node;
 
 let perf = (typeof performance !== "undefined") ? performance : null;
-let fetchFunc;
+let SparseEngine, readDataset, seededRandom;
 
 async function setupEnvironment() {
   if (isNode) {
-    const fs = await import("fs");
-    const path = await import("path");
     const { performance: perf_hooks } = await import("perf_hooks");
     perf = perf_hooks;
-
-    fetchFunc = async (url) => {
-      if (/^https?:\/\//.test(url)) {
-        const mod = await import("node-fetch");
-        return mod.default(url);
-      } else {
-        const absPath = path.resolve(url);
-        const text = await fs.promises.readFile(absPath, "utf-8");
-        return { text: async () => text };
-      }
-    };
+    ({ SparseEngine, readDataset, seededRandom } = (await import("./plex.js")).default);
   } else {
     perf = performance;
-    fetchFunc = fetch;
-  }
-}
-
-// -------------------- Sparse Engine (Optimized) --------------------
-class SparseEngine {
-  constructor() {
-    this.docs = [];
-    this.idf = new Map();
-    this.avgLen = 0;
-    this.k1 = 1.2;
-    this.b = 0.75;
-    this.docFreqs = []; // Precomputed term frequencies per document
-  }
-
-  tokenize(item) {
-    return ["city", "state", "zip", "_id"]
-      .map(f => (item[f] || "").toString().toLowerCase())
-      .join(" ")
-      .split(/\s+/)
-      .filter(Boolean);
-  }
-
-  init(docs) {
-    this.docs = docs;
-    const df = new Map();
-    let total = 0;
-
-    docs.forEach((d, i) => {
-      const tokens = this.tokenize(d);
-      total += tokens.length;
-
-      const freq = new Map();
-      tokens.forEach(t => freq.set(t, (freq.get(t) || 0) + 1));
-      this.docFreqs[i] = freq;
-
-      new Set(tokens).forEach(t => df.set(t, (df.get(t) || 0) + 1));
-    });
-
-    this.avgLen = total / docs.length;
-
-    for (const [t, c] of df) {
-      this.idf.set(t, Math.log((docs.length - c + 0.5) / (c + 0.5) + 1));
-    }
-  }
-
-  score(query, docIndex) {
-    const tokens = this.docFreqs[docIndex];
-    let score = 0;
-    for (const q of query) {
-      const tf = tokens.get(q) || 0;
-      if (!tf) continue;
-      const idf = this.idf.get(q) || 0;
-      const lenFactor = Array.from(tokens.values()).reduce((a, b) => a + b, 0) / (this.avgLen || 1);
-      score += idf * ((tf * (this.k1 + 1)) / (tf + this.k1 * (1 - this.b + this.b * lenFactor)));
-    }
-    return score;
-  }
-
-  search(query) {
-    const tokens = query.map(q => q.toLowerCase());
-    const results = [];
-    for (let i = 0; i < this.docs.length; i++) {
-      const s = this.score(tokens, i);
-      if (s > 0) results.push({ doc: this.docs[i], score: s });
-    }
-    return results;
+    ({ SparseEngine, readDataset, seededRandom } = window.PLEX);
   }
 }
 
 // -------------------- Dense Simulation --------------------
+// Random embeddings, seeded by the query so every run does the same work.
 function denseSimulation(query, docs) {
   const EMBED_DIM = 768;
-  const vectors = docs.map(() => Array.from({ length: EMBED_DIM }, () => Math.random()));
-  const queryVec = Array.from({ length: EMBED_DIM }, () => Math.random());
+  const random = seededRandom(query.join(" "));
+  const vectors = docs.map(() => Array.from({ length: EMBED_DIM }, random));
+  const queryVec = Array.from({ length: EMBED_DIM }, random);
 
   let best = 0;
   for (const v of vectors) {
@@ -148,20 +72,14 @@ function calculateStats(queryVolumePerMonth) {
 }
 
 // -------------------- CSV Loader --------------------
+// Columns: ZIP,COUNTYNAME,STATE,STCOUNTYFP,CLASSFP. Values stay strings,
+// so ZIPs keep their leading zeros.
 async function loadCSV(urlOrPath) {
-  const res = await fetchFunc(urlOrPath);
-  const text = await res.text();
-  const lines = text.split(/\r?\n/).filter(Boolean);
-  const headers = lines[0].split(",").map(h => h.trim());
-
-  return lines.slice(1).map(line => {
-    const parts = line.match(/(".*?"|[^",\s]+)(?=\s*,|\s*$)/g) || [];
-    const obj = {};
-    headers.forEach((h, i) => {
-      obj[h] = parts[i]?.replace(/^"|"$/g, "")?.trim() || "";
-    });
-    return { _id: obj.ZIP, zip: obj.ZIP, city: obj.CITY, state: obj.STATE };
-  });
+  const data = [];
+  for await (const row of readDataset(urlOrPath, { format: "csv" })) {
+    data.push({ _id: row.ZIP, zip: row.ZIP, city: row.COUNTYNAME, state: row.STATE });
+  }
+  return data;
 }
 
 // -------------------- Demo Runner --------------------
@@ -180,7 +98,7 @@ async function runDemo() {
   const engine = new SparseEngine();
   console.log("Building PLEX sparse index...");
   const t0 = perf.now();
-  engine.init(data);
+  engine.build(data);
   const t1 = perf.now();
   console.log(`PLEX index built in ${(t1 - t0).toFixed(1)} ms\n`);
 
@@ -188,7 +106,7 @@ async function runDemo() {
   for (const q of queries) {
     const tokens = q.toLowerCase().split(/\s+/);
     const s0 = perf.now();
-    const sparseHits = engine.search(tokens);
+    const sparseHits = engine.search(q);
     const s1 = perf.now();
     denseSimulation(tokens, data); // Simulated
 
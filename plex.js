@@ -31,83 +31,3738 @@ const writeJSON = async (path, data) => {
   }
 };
 
+// Yields a file's text in chunks, so large inputs never have to be held
+// as one string.
+async function* readChunks(path) {
+  if (typeof window !== "undefined") {
+    const reader = (await fetch(path)).body.getReader();
+    const decoder = new TextDecoder();
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      yield decoder.decode(value, { stream: true });
+    }
+    const tail = decoder.decode();
+    if (tail) yield tail;
+  } else {
+    const fs = await import("fs");
+    yield* fs.createReadStream(path, { encoding: "utf8" });
+  }
+}
+
+// Yields a file's bytes from `offset` on, as Uint8Array chunks.
+async function* readByteChunks(path, offset = 0) {
+  if (typeof window !== "undefined") {
+    const reader = (await fetch(path)).body.getReader();
+    let skip = offset;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (skip >= value.length) {
+        skip -= value.length;
+        continue;
+      }
+      yield value.subarray(skip);
+      skip = 0;
+    }
+  } else {
+    const fs = await import("fs");
+    for await (const chunk of fs.createReadStream(path, { start: offset })) {
+      yield new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length);
+    }
+  }
+}
+
+async function* readNDJSON(path) {
+  let buffer = "";
+  let line = 0;
+  const parse = (text) => {
+    line++;
+    if (!text.trim()) return [];
+    try {
+      return [JSON.parse(text)];
+    } catch (err) {
+      throw new Error(`${path}:${line}: ${err.message}`);
+    }
+  };
+
+  for await (const chunk of readChunks(path)) {
+    buffer += chunk;
+    let nl;
+    while ((nl = buffer.indexOf("\n")) !== -1) {
+      yield* parse(buffer.slice(0, nl));
+      buffer = buffer.slice(nl + 1);
+    }
+  }
+  yield* parse(buffer);
+}
+
+// Streams the elements of a top-level JSON array. Only the element being
+// read is buffered: the scanner tracks nesting depth and string state
+// across chunk boundaries and hands each complete element to JSON.parse.
+async function* readJSONArray(path) {
+  let started = false;
+  let ended = false;
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  let element = "";
+  let index = 0;
+  const parse = () => {
+    const text = element.trim();
+    element = "";
+    if (!text) return [];
+    try {
+      return [JSON.parse(text)];
+    } catch (err) {
+      throw new Error(`${path}: element ${index}: ${err.message}`);
+    }
+  };
+
+  for await (const chunk of readChunks(path)) {
+    let start = 0;
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (!started) {
+        if (c === "[") {
+          started = true;
+          start = i + 1;
+        } else if (!/\s/.test(c)) {
+          throw new Error(`${path}: expected a JSON array`);
+        }
+        continue;
+      }
+      if (ended) {
+        if (!/\s/.test(c)) throw new Error(`${path}: unexpected data after array`);
+        continue;
+      }
+      if (inString) {
+        if (escaped) escaped = false;
+        else if (c === "\\") escaped = true;
+        else if (c === '"') inString = false;
+      } else if (c === '"') {
+        inString = true;
+      } else if (c === "{" || c === "[") {
+        depth++;
+      } else if (depth > 0 && (c === "}" || c === "]")) {
+        depth--;
+      } else if (depth === 0 && (c === "," || c === "]")) {
+        element += chunk.slice(start, i);
+        start = i + 1;
+        yield* parse();
+        index++;
+        if (c === "]") ended = true;
+      }
+    }
+    if (started && !ended) element += chunk.slice(start);
+  }
+
+  if (!ended) throw new Error(`${path}: unterminated JSON array`);
+}
+
+// Streams the records of a delimited text file (RFC 4180): fields may be
+// quoted, "" inside quotes is a literal quote, and quoted fields may span
+// lines; records end with CRLF or LF. The first record is the header and
+// names the columns. Values stay strings unless `types` maps a column to
+// "number", "boolean" or "json", or `infer` is set (see typeValue).
+async function* readDelimited(path, { delimiter = ",", types = {}, infer = false } = {}) {
+  let header = null;
+  let record = [];
+  let field = "";
+  let quoted = false;    // inside a quoted field
+  let closed = false;    // just past a quoted field's closing quote
+  let pendingQuote = false;
+  let pendingCR = false;
+  let line = 1;
+  let start = 1;         // line the current record started on
+  let first = true;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+    closed = false;
+  };
+  const endRecord = () => {
+    endField();
+    const fields = record;
+    record = [];
+    const at = start;
+    start = line;
+    if (fields.length === 1 && fields[0] === "") return [];
+    if (!header) {
+      header = fields;
+      return [];
+    }
+    if (fields.length !== header.length) {
+      throw new Error(`${path}:${at}: expected ${header.length} fields, found ${fields.length}`);
+    }
+    const item = {};
+    header.forEach((name, i) => {
+      item[name] = typeValue(fields[i], types[name], infer, `${path}:${at}: ${name}`);
+    });
+    return [item];
+  };
+
+  for await (let chunk of readChunks(path)) {
+    if (first) {
+      chunk = chunk.replace(/^\uFEFF/, "");
+      first = false;
+    }
+    const out = [];
+    for (let i = 0; i < chunk.length; i++) {
+      const c = chunk[i];
+      if (pendingCR) {
+        pendingCR = false;
+        if (c === "\n") continue;
+      }
+      if (pendingQuote) {
+        pendingQuote = false;
+        if (c === '"') {
+          field += '"';
+          continue;
+        }
+        quoted = false;
+        closed = true;
+      }
+      if (quoted) {
+        if (c === '"') pendingQuote = true;
+        else {
+          if (c === "\n") line++;
+          field += c;
+        }
+      } else if (c === delimiter) {
+        endField();
+      } else if (c === "\n" || c === "\r") {
+        line++;
+        pendingCR = c === "\r";
+        out.push(...endRecord());
+      } else if (closed) {
+        throw new Error(`${path}:${line}: unexpected ${JSON.stringify(c)} after a closing quote`);
+      } else if (c === '"' && field === "") {
+        quoted = true;
+      } else {
+        field += c;
+      }
+    }
+    yield* out;
+  }
+  if (pendingQuote) {
+    quoted = false;
+    closed = true;
+  }
+  if (quoted) throw new Error(`${path}:${start}: unterminated quoted field`);
+  if (field !== "" || closed || record.length) yield* endRecord();
+}
+
+// Types one delimited-text value. An explicit column type wins; with
+// `infer`, numbers and true/false are converted, except numbers written
+// with a leading zero ("02134" stays a string). Empty values of typed
+// columns become null.
+const typeValue = (text, type, infer, where) => {
+  if (type === "string") return text;
+  if (type === undefined) {
+    if (!infer) return text;
+    if (/^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/.test(text)) return Number(text);
+    if (text === "true" || text === "false") return text === "true";
+    return text;
+  }
+  if (text === "") return null;
+  switch (type) {
+    case "number": {
+      const n = Number(text);
+      if (Number.isNaN(n) || !text.trim()) throw new Error(`${where}: not a number: ${JSON.stringify(text)}`);
+      return n;
+    }
+    case "boolean":
+      if (/^(true|1|yes)$/i.test(text)) return true;
+      if (/^(false|0|no)$/i.test(text)) return false;
+      throw new Error(`${where}: not a boolean: ${JSON.stringify(text)}`);
+    case "json":
+      try {
+        return JSON.parse(text);
+      } catch (err) {
+        throw new Error(`${where}: ${err.message}`);
+      }
+    default:
+      throw new Error(`Unknown column type: ${type} (expected string, number, boolean or json)`);
+  }
+};
+
+const DATASET_FORMATS = ["json", "ndjson", "csv", "tsv"];
+
+// The dataset format a file extension stands for, or null.
+const formatOf = (path) => {
+  const ext = /\.([^./\\]+)$/.exec(path)?.[1].toLowerCase();
+  if (ext === "json") return "json";
+  if (ext === "ndjson" || ext === "jsonl") return "ndjson";
+  if (ext === "csv") return "csv";
+  if (ext === "tsv" || ext === "tab") return "tsv";
+  return null;
+};
+
+// Picks a loader from the file extension; anything else is sniffed from
+// its first bytes: "[" is a JSON array, "{" NDJSON, and text is CSV, or
+// TSV when the first line has tabs but no commas.
+const detectFormat = async (path) => {
+  const known = formatOf(path);
+  if (known) return known;
+
+  const text = new TextDecoder().decode(await readBytes(path, 0, 4096));
+  const head = text.trimStart();
+  if (head.startsWith("[")) return "json";
+  if (head.startsWith("{")) return "ndjson";
+  const firstLine = head.split(/\r?\n/, 1)[0];
+  return firstLine.includes("\t") && !firstLine.includes(",") ? "tsv" : "csv";
+};
+
+// Streaming dataset reader for JSON arrays, NDJSON, CSV and TSV. The
+// format comes from `options.format` or detectFormat; `delimiter`, `types`
+// and `infer` apply to CSV and TSV.
+async function* readDataset(path, options = {}) {
+  const format = options.format || await detectFormat(path);
+  switch (format) {
+    case "json":
+      yield* readJSONArray(path);
+      break;
+    case "ndjson":
+      yield* readNDJSON(path);
+      break;
+    case "csv":
+    case "tsv":
+      yield* readDelimited(path, {
+        ...options,
+        delimiter: options.delimiter ?? (format === "tsv" ? "\t" : ",")
+      });
+      break;
+    default:
+      throw new Error(`Unknown input format: ${format} (expected ${DATASET_FORMATS.join(", ")})`);
+  }
+}
+
+// Quotes a delimited-text field when it holds the delimiter, a quote or
+// a line break (RFC 4180). Objects are written as JSON, null as empty.
+const formatField = (value, delimiter) => {
+  if (value === null || value === undefined) return "";
+  const text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  return text.includes(delimiter) || /["\r\n]/.test(text)
+    ? `"${text.replace(/"/g, '""')}"`
+    : text;
+};
+
+// Serializes records as `format` (one of DATASET_FORMATS), yielding one
+// piece of text per record. JSON arrays are written one element per
+// line; CSV and TSV get a header row of `columns`, by default the first
+// record's keys.
+async function* formatDataset(items, { format = "json", columns = null } = {}) {
+  if (format === "json") {
+    let first = true;
+    yield "[";
+    for await (const item of items) {
+      yield (first ? "\n" : ",\n") + JSON.stringify(item);
+      first = false;
+    }
+    yield "\n]\n";
+  } else if (format === "ndjson") {
+    for await (const item of items) yield JSON.stringify(item) + "\n";
+  } else if (format === "csv" || format === "tsv") {
+    const delimiter = format === "tsv" ? "\t" : ",";
+    const row = values => values.map(v => formatField(v, delimiter)).join(delimiter) + "\r\n";
+    let header = columns;
+    if (header?.length) yield row(header);
+    for await (const item of items) {
+      if (!header) {
+        header = Object.keys(item ?? {});
+        yield row(header);
+      }
+      yield row(header.map(column => item?.[column]));
+    }
+  } else {
+    throw new Error(`Unknown output format: ${format} (expected ${DATASET_FORMATS.join(", ")})`);
+  }
+}
+
+// Writes records to `path` through formatDataset, so the whole output
+// never has to be serialized at once.
+const writeDataset = async (path, items, options = {}) => {
+  if (typeof window !== "undefined") {
+    console.warn("Browser mode: write disabled");
+  } else {
+    const fs = await import("fs/promises");
+    const handle = await fs.open(path, "w");
+    try {
+      for await (const text of formatDataset(items, options)) await handle.write(text);
+    } finally {
+      await handle.close();
+    }
+  }
+};
+
+const writeJSONArray = (path, items) => writeDataset(path, items, { format: "json" });
+
+// Reads `length` bytes at `offset`; browsers use an HTTP range request.
+const readBytes = async (path, offset, length) => {
+  if (typeof window !== "undefined") {
+    const end = offset + length - 1;
+    const res = await fetch(path, { headers: { Range: `bytes=${offset}-${end}` } });
+    const bytes = new Uint8Array(await res.arrayBuffer());
+    return res.status === 206 ? bytes : bytes.subarray(offset, offset + length);
+  } else {
+    const fs = await import("fs/promises");
+    const handle = await fs.open(path, "r");
+    try {
+      const bytes = new Uint8Array(length);
+      const { bytesRead } = await handle.read(bytes, 0, length, offset);
+      return bytes.subarray(0, bytesRead);
+    } finally {
+      await handle.close();
+    }
+  }
+};
+
+const writeBytes = async (path, bytes) => {
+  if (typeof window !== "undefined") {
+    console.warn("Browser mode: write disabled");
+  } else {
+    const fs = await import("fs/promises");
+    await fs.writeFile(path, bytes);
+  }
+};
+
+const readConfig = async (path = "plex.config.json") => {
+  try {
+    return await readJSON(path);
+  } catch {
+    return {};
+  }
+};
+
+// Stable JSON: object keys sorted, undefined mapped to null, so equal
+// values always hash the same.
+const canonicalize = (value) => {
+  if (value === undefined || typeof value === "function") return "null";
+  if (value === null || typeof value !== "object") return JSON.stringify(value);
+  if (typeof value.toJSON === "function") return canonicalize(value.toJSON());
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(",")}]`;
+  return `{${Object.keys(value)
+    .filter(k => value[k] !== undefined)
+    .sort()
+    .map(k => `${JSON.stringify(k)}:${canonicalize(value[k])}`)
+    .join(",")}}`;
+};
+
+const sha256 = async (text) => {
+  if (typeof window !== "undefined") {
+    const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+    return [...new Uint8Array(buf)].map(b => b.toString(16).padStart(2, "0")).join("");
+  } else {
+    const { createHash } = await import("crypto");
+    return createHash("sha256").update(text).digest("hex");
+  }
+};
+
+// Keeps the k best of a stream of items under `better(a, b)` (true when a
+// ranks above b) in a binary heap whose root is the worst item kept, so
+// ranking n items costs O(n log k) instead of a full sort.
+class TopK {
+  constructor(k, better) {
+    this.k = k;
+    this.better = better;
+    this.heap = [];
+  }
+
+  push(item) {
+    const heap = this.heap;
+    if (heap.length < this.k) {
+      heap.push(item);
+      for (let i = heap.length - 1; i > 0;) {
+        const parent = (i - 1) >> 1;
+        if (!this.better(heap[parent], heap[i])) break;
+        [heap[parent], heap[i]] = [heap[i], heap[parent]];
+        i = parent;
+      }
+    } else if (this.k > 0 && this.better(item, heap[0])) {
+      heap[0] = item;
+      for (let i = 0; ;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let worst = i;
+        if (left < heap.length && this.better(heap[worst], heap[left])) worst = left;
+        if (right < heap.length && this.better(heap[worst], heap[right])) worst = right;
+        if (worst === i) break;
+        [heap[worst], heap[i]] = [heap[i], heap[worst]];
+        i = worst;
+      }
+    }
+  }
+
+  // The kept items, best first.
+  sorted() {
+    return [...this.heap].sort((a, b) => this.better(a, b) ? -1 : this.better(b, a) ? 1 : 0);
+  }
+}
+
+// Ranking order of search hits: exact before fuzzy, then by descending
+// score, then by ascending id.
+const ranksAbove = (a, b) =>
+  (a.fuzzy ? 1 : 0) - (b.fuzzy ? 1 : 0) ||
+  b.score - a.score ||
+  (a.id < b.id ? -1 : a.id > b.id ? 1 : 0);
+const better = (a, b) => ranksAbove(a, b) < 0;
+
+//////////////////////
+// Text Analysis
+//////////////////////
+
+// Turns text into index terms: Unicode normalization, case folding, a
+// word split, stopword removal, stemming and optional character n-grams,
+// in that order. Configured by the "analyzer" section of plex.config.json;
+// `settings` is recorded in manifests and index headers so indexing,
+// querying and replays all analyze text the same way.
+class Analyzer {
+  static SPLITS = {
+    unicode: /[^\p{L}\p{M}\p{N}_]+/u,
+    ascii: /\W+/ // the original tokenizer; breaks up non-ASCII words
+  };
+
+  static STOPWORDS = {
+    english: [
+      "a", "an", "and", "are", "as", "at", "be", "but", "by", "for", "if",
+      "in", "into", "is", "it", "no", "not", "of", "on", "or", "such", "that",
+      "the", "their", "then", "there", "these", "they", "this", "to", "was",
+      "will", "with"
+    ]
+  };
+
+  static STEMMERS = {
+    // Lucene's EnglishMinimalStemmer: plural "-s", "-es" and "-ies" only.
+    "english-minimal": (term) => {
+      const n = term.length;
+      if (n < 3 || term[n - 1] !== "s") return term;
+      switch (term[n - 2]) {
+        case "u":
+        case "s":
+          return term;
+        case "e":
+          if (n > 3 && term[n - 3] === "i" && term[n - 4] !== "a" && term[n - 4] !== "e") {
+            return `${term.slice(0, n - 3)}y`;
+          }
+          if ("iaoe".includes(term[n - 3])) return term;
+      }
+      return term.slice(0, n - 1);
+    }
+  };
+
+  constructor({
+    normalize = "NFKC",
+    lowercase = true,
+    split = "unicode",
+    stopwords = null,
+    stem = null,
+    ngrams = null
+  } = {}) {
+    if (normalize !== null && !["NFC", "NFD", "NFKC", "NFKD"].includes(normalize)) {
+      throw new Error(`Unknown normalization form: ${normalize}`);
+    }
+    if (!Analyzer.SPLITS[split]) throw new Error(`Unknown split: ${split} (expected unicode or ascii)`);
+    if (stem !== null && !Analyzer.STEMMERS[stem]) throw new Error(`Unknown stemmer: ${stem}`);
+    if (typeof stopwords === "string" && !Analyzer.STOPWORDS[stopwords]) {
+      throw new Error(`Unknown stopword list: ${stopwords}`);
+    }
+    if (ngrams !== null && !(ngrams.min >= 1 && ngrams.max >= ngrams.min)) {
+      throw new Error("ngrams needs 1 <= min <= max");
+    }
+    this.settings = { normalize, lowercase, split, stopwords, stem, ngrams };
+    this.stopwords = new Set(typeof stopwords === "string" ? Analyzer.STOPWORDS[stopwords] : stopwords || []);
+  }
+
+  // Normalization and case folding only: how prefixes and range bounds
+  // are compared against terms.
+  normalize(text) {
+    let result = String(text);
+    if (this.settings.normalize) result = result.normalize(this.settings.normalize);
+    return this.settings.lowercase ? result.toLowerCase() : result;
+  }
+
+  // [{ term, position }] for `text`. Each word's n-grams (when configured)
+  // follow it at the same position; `grams: false` leaves them out, as
+  // queries do so that a whole word can match a gram of a longer one.
+  tokens(text, { grams = true } = {}) {
+    const { stem, ngrams } = this.settings;
+    const tokens = [];
+    let position = 0;
+    for (const word of this.normalize(text).split(Analyzer.SPLITS[this.settings.split])) {
+      if (!word || this.stopwords.has(word)) continue;
+      const term = stem ? Analyzer.STEMMERS[stem](word) : word;
+      tokens.push({ term, position });
+      if (grams && ngrams) {
+        const chars = [...term];
+        for (let n = ngrams.min; n <= Math.min(ngrams.max, chars.length - 1); n++) {
+          for (let i = 0; i + n <= chars.length; i++) {
+            tokens.push({ term: chars.slice(i, i + n).join(""), position });
+          }
+        }
+      }
+      position++;
+    }
+    return tokens;
+  }
+
+  terms(text, options) {
+    return this.tokens(text, options).map(({ term }) => term);
+  }
+
+  // The leaf values of a record as [field, text] pairs, so JSON syntax and
+  // keys are never indexed. With `fields` (dotted paths), only those
+  // fields, each reporting its leaves under its own name; otherwise every
+  // leaf under its dotted path.
+  static values(record, fields = null) {
+    const values = [];
+    const walk = (field, value, nest) => {
+      if (value === null || value === undefined) return;
+      if (Array.isArray(value)) {
+        value.forEach(item => walk(field, item, nest));
+      } else if (typeof value === "object") {
+        for (const [key, item] of Object.entries(value)) {
+          walk(nest ? (field ? `${field}.${key}` : key) : field, item, nest);
+        }
+      } else {
+        values.push([field, String(value)]);
+      }
+    };
+    if (!fields) {
+      walk(null, record, true);
+    } else {
+      for (const field of fields) {
+        walk(field, field.split(".").reduce((value, key) => value?.[key], record), false);
+      }
+    }
+    return values;
+  }
+}
+
 //////////////////////
 // Vector Engine
 //////////////////////
 
-class VectorEngine {
-  static tokenize(text) {
-    return text.toLowerCase().split(/\W+/).filter(Boolean);
+class VectorEngine {
+  // Without an analyzer: the original lowercase-and-split-on-\W tokenizer,
+  // which manifests written before analyzers existed replay with.
+  static tokenize(text, analyzer = null) {
+    return analyzer ? analyzer.terms(text) : text.toLowerCase().split(/\W+/).filter(Boolean);
+  }
+
+  static vectorize(text, analyzer = null) {
+    const tokens = this.tokenize(text, analyzer);
+    const map = {};
+    tokens.forEach(t => (map[t] = (map[t] || 0) + 1));
+    return map;
+  }
+
+  static cosine(a, b) {
+    let dot = 0, magA = 0, magB = 0;
+    for (const k in a) {
+      if (b[k]) dot += a[k] * b[k];
+      magA += a[k] * a[k];
+    }
+    for (const k in b) magB += b[k] * b[k];
+    return dot / (Math.sqrt(magA) * Math.sqrt(magB) || 1);
+  }
+
+  // cosine(doc, query) term by term: score = sum of contributions, each
+  // tf * queryTf / norm, where norm = |doc| * |query|.
+  static explain(doc, query) {
+    let magDoc = 0, magQuery = 0;
+    for (const k in doc) magDoc += doc[k] * doc[k];
+    for (const k in query) magQuery += query[k] * query[k];
+    const docNorm = Math.sqrt(magDoc);
+    const queryNorm = Math.sqrt(magQuery);
+    const norm = docNorm * queryNorm || 1;
+    const terms = Object.keys(query)
+      .filter(k => doc[k])
+      .map(term => ({
+        term,
+        tf: doc[term],
+        queryTf: query[term],
+        contribution: doc[term] * query[term] / norm
+      }));
+    return { docNorm, queryNorm, norm, terms };
+  }
+}
+
+// IEEE 754 half precision, for float16-quantized vector values.
+const toFloat16 = (value) => {
+  const view = new DataView(new ArrayBuffer(4));
+  view.setFloat32(0, value);
+  const bits = view.getUint32(0);
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xff) - 112;
+  const mantissa = bits & 0x7fffff;
+  if (exponent >= 31) return sign | 0x7c00;
+  if (exponent <= 0) {
+    if (exponent < -10) return sign;
+    const shift = 14 - exponent;
+    const full = mantissa | 0x800000;
+    return sign | ((full >> shift) + ((full >> (shift - 1)) & 1));
+  }
+  return (sign | (exponent << 10) | (mantissa >> 13)) + ((mantissa >> 12) & 1);
+};
+
+const fromFloat16 = (half) => {
+  const sign = half & 0x8000 ? -1 : 1;
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  if (exponent === 0) return sign * 2 ** -14 * (mantissa / 1024);
+  if (exponent === 31) return mantissa ? NaN : sign * Infinity;
+  return sign * 2 ** (exponent - 15) * (1 + mantissa / 1024);
+};
+
+// Binary store of sparse vectors (.plexvec). Integers are little-endian
+// and every record starts on a 4-byte boundary:
+//   magic    "PLEXVEC\0"
+//   version  u32
+//   header   u32 length + UTF-8 JSON: count, quantization, idWidth,
+//            analyzer and the sorted term dictionary (a term's id is its
+//            index), padded with spaces to a multiple of 4 bytes
+//   vectors  per vector: u32 nnz, f32 norm, f32 scale (int8 only),
+//            term ids (ascending) x nnz as u16, or u32 once there are
+//            more than 65536 terms, then values x nnz as float32, float16
+//            or int8 (value = scale * q), zero-padded
+// Norms are of the stored (quantized) values, so cosine() stays exact
+// with respect to what is on disk.
+class VectorFile {
+  static MAGIC = "PLEXVEC\0";
+  static VERSION = 1;
+  static QUANTIZATIONS = { float32: 4, float16: 2, int8: 1 };
+
+  constructor(path, header, dataOffset) {
+    this.path = path;
+    this.header = header;
+    this.dataOffset = dataOffset;
+    this.termIds = new Map(header.terms.map((term, id) => [term, id]));
+  }
+
+  // True when the file at `path` starts with the .plexvec magic.
+  static async detect(path) {
+    const prefix = await readBytes(path, 0, 8).catch(() => new Uint8Array(0));
+    return new TextDecoder().decode(prefix) === VectorFile.MAGIC;
+  }
+
+  // Writes `vectors()` (a function returning an async iterable of term ->
+  // weight maps, null for a missing vector) in two passes: one to build
+  // the dictionary, one to encode.
+  static async write(path, vectors, { quantization = "float32", analyzer = null } = {}) {
+    if (!VectorFile.QUANTIZATIONS[quantization]) {
+      throw new Error(`Unknown quantization: ${quantization} (expected float32, float16 or int8)`);
+    }
+    if (typeof window !== "undefined") {
+      console.warn("Browser mode: write disabled");
+      return;
+    }
+    const terms = new Set();
+    let count = 0;
+    for await (const vector of vectors()) {
+      for (const term in vector || {}) terms.add(term);
+      count++;
+    }
+    const dictionary = [...terms].sort();
+    const termIds = new Map(dictionary.map((term, id) => [term, id]));
+    const idWidth = dictionary.length > 65536 ? 4 : 2;
+
+    const encoder = new TextEncoder();
+    let header = encoder.encode(JSON.stringify({ count, quantization, idWidth, analyzer, terms: dictionary }));
+    const padded = new Uint8Array(Math.ceil(header.length / 4) * 4).fill(0x20);
+    padded.set(header);
+    header = padded;
+    const prefix = new DataView(new ArrayBuffer(16));
+    encoder.encode(VectorFile.MAGIC).forEach((byte, i) => prefix.setUint8(i, byte));
+    prefix.setUint32(8, VectorFile.VERSION, true);
+    prefix.setUint32(12, header.length, true);
+
+    const fs = await import("fs/promises");
+    const handle = await fs.open(path, "w");
+    try {
+      const out = new ByteWriter(1 << 20);
+      out.raw(new Uint8Array(prefix.buffer));
+      out.raw(header);
+      for await (const vector of vectors()) {
+        out.raw(VectorFile.encodeVector(vector || {}, termIds, quantization, idWidth));
+        if (out.length >= 1 << 20) {
+          await handle.write(out.result());
+          out.length = 0;
+        }
+      }
+      await handle.write(out.result());
+    } finally {
+      await handle.close();
+    }
+  }
+
+  // Byte size of a record with `n` entries.
+  static recordSize(n, quantization, idWidth) {
+    const head = quantization === "int8" ? 12 : 8;
+    return head + Math.ceil((idWidth + VectorFile.QUANTIZATIONS[quantization]) * n / 4) * 4;
+  }
+
+  static encodeVector(vector, termIds, quantization, idWidth) {
+    const entries = Object.entries(vector)
+      .map(([term, value]) => [termIds.get(term), value])
+      .sort((a, b) => a[0] - b[0]);
+    const n = entries.length;
+    const width = VectorFile.QUANTIZATIONS[quantization];
+    const head = quantization === "int8" ? 12 : 8;
+    const size = VectorFile.recordSize(n, quantization, idWidth);
+    const view = new DataView(new ArrayBuffer(size));
+    const max = entries.reduce((m, [, value]) => Math.max(m, Math.abs(value)), 0);
+    const scale = max / 127 || 1;
+    let magnitude = 0;
+    view.setUint32(0, n, true);
+    if (quantization === "int8") view.setFloat32(8, scale, true);
+    entries.forEach(([id, value], i) => {
+      if (idWidth === 2) view.setUint16(head + 2 * i, id, true);
+      else view.setUint32(head + 4 * i, id, true);
+      const at = head + idWidth * n + width * i;
+      let stored = value;
+      if (quantization === "float32") {
+        view.setFloat32(at, value, true);
+        stored = view.getFloat32(at, true);
+      } else if (quantization === "float16") {
+        view.setUint16(at, toFloat16(value), true);
+        stored = fromFloat16(view.getUint16(at, true));
+      } else {
+        const q = Math.round(value / scale);
+        view.setInt8(at, q);
+        stored = q * scale;
+      }
+      magnitude += stored * stored;
+    });
+    view.setFloat32(4, Math.sqrt(magnitude), true);
+    return new Uint8Array(view.buffer);
+  }
+
+  static async open(path) {
+    const prefix = await readBytes(path, 0, 16);
+    const magic = new TextDecoder().decode(prefix.subarray(0, 8));
+    if (prefix.length < 16 || magic !== VectorFile.MAGIC) {
+      throw new Error(`${path}: not a PLEX vector file`);
+    }
+    const view = new DataView(prefix.buffer, prefix.byteOffset, 16);
+    const version = view.getUint32(8, true);
+    if (version !== VectorFile.VERSION) {
+      throw new Error(`${path}: unsupported vector file version ${version}`);
+    }
+    const headerLength = view.getUint32(12, true);
+    const header = JSON.parse(new TextDecoder().decode(await readBytes(path, 16, headerLength)));
+    return new VectorFile(path, header, 16 + headerLength);
+  }
+
+  // Streams the vectors in order as { id, ids: Uint32Array, values:
+  // Float32Array, norm }, holding only the current chunk in memory.
+  async *vectors() {
+    const { quantization, idWidth } = this.header;
+    const width = VectorFile.QUANTIZATIONS[quantization];
+    const head = quantization === "int8" ? 12 : 8;
+    let pending = new Uint8Array(0);
+    let id = 0;
+    for await (const chunk of readByteChunks(this.path, this.dataOffset)) {
+      const joined = new Uint8Array(pending.length + chunk.length);
+      joined.set(pending);
+      joined.set(chunk, pending.length);
+      const view = new DataView(joined.buffer);
+      let at = 0;
+      while (at + 4 <= joined.length) {
+        const n = view.getUint32(at, true);
+        const size = VectorFile.recordSize(n, quantization, idWidth);
+        if (at + size > joined.length) break;
+        const ids = new Uint32Array(n);
+        const values = new Float32Array(n);
+        const scale = quantization === "int8" ? view.getFloat32(at + 8, true) : 1;
+        for (let i = 0; i < n; i++) {
+          ids[i] = idWidth === 2
+            ? view.getUint16(at + head + 2 * i, true)
+            : view.getUint32(at + head + 4 * i, true);
+          const v = at + head + idWidth * n + width * i;
+          values[i] = quantization === "float32" ? view.getFloat32(v, true)
+            : quantization === "float16" ? fromFloat16(view.getUint16(v, true))
+            : view.getInt8(v) * scale;
+        }
+        yield { id: id++, ids, values, norm: view.getFloat32(at + 4, true) };
+        at += size;
+      }
+      pending = joined.subarray(at);
+    }
+    if (pending.length) throw new Error(`${this.path}: truncated vector file`);
+  }
+
+  // cosine(vector, query) against every stored vector, using the stored
+  // norms, streamed as { id, score, matched (the query terms it contains),
+  // vector() (as a term -> value map) }.
+  async *cosines(query) {
+    const weights = new Map();
+    let magnitude = 0;
+    for (const [term, value] of Object.entries(query)) {
+      magnitude += value * value;
+      if (this.termIds.has(term)) weights.set(this.termIds.get(term), [term, value]);
+    }
+    const queryNorm = Math.sqrt(magnitude);
+    for await (const record of this.vectors()) {
+      let dot = 0;
+      const matched = [];
+      record.ids.forEach((id, i) => {
+        const weight = weights.get(id);
+        if (!weight || !record.values[i]) return;
+        dot += record.values[i] * weight[1];
+        matched.push(weight[0]);
+      });
+      yield { id: record.id, score: dot / (record.norm * queryNorm || 1), matched, vector: () => this.terms(record) };
+    }
+  }
+
+  // A stored vector as a term -> value map.
+  terms({ ids, values }) {
+    const vector = {};
+    ids.forEach((id, i) => (vector[this.header.terms[id]] = values[i]));
+    return vector;
+  }
+}
+
+//////////////////////
+// Sparse Engine (BM25)
+//////////////////////
+
+// Okapi BM25 over an in-memory positional inverted index. Documents are
+// numbered by their EU id. Each term is indexed twice: across all fields
+// and scoped to its field (key "field\0term"), so queries can restrict
+// matches to one field; doc lengths count the unscoped terms only.
+class SparseEngine {
+  static DEFAULT_FIELDS = ["city", "state", "zip", "_id"];
+
+  constructor({
+    fields = SparseEngine.DEFAULT_FIELDS, k1 = 1.2, b = 0.75, analyzer = new Analyzer()
+  } = {}) {
+    this.fields = fields;
+    this.k1 = k1;
+    this.b = b;
+    this.analyzer = analyzer instanceof Analyzer ? analyzer : new Analyzer(analyzer);
+    this.postings = new Map(); // key -> [[doc, tf, positions], ...] in doc order
+    this.docLengths = [];
+    this.docCount = 0;
+    this.totalLength = 0;
+  }
+
+  // Term positions over a record's indexed fields, keyed by postings key.
+  // Values are one position apart so phrases never span two of them.
+  static terms(record, fields = SparseEngine.DEFAULT_FIELDS, analyzer = new Analyzer()) {
+    const positions = {};
+    const push = (key, position) => (positions[key] ||= []).push(position);
+    let base = 0;
+    for (const [field, value] of Analyzer.values(record, fields)) {
+      let last = -1;
+      for (const { term, position } of analyzer.tokens(value)) {
+        push(term, base + position);
+        push(termKey(field, term), base + position);
+        last = position;
+      }
+      base += last + 2;
+    }
+    return positions;
+  }
+
+  // Documents must be added in increasing doc order.
+  add(doc, terms) {
+    let length = 0;
+    for (const [key, positions] of Object.entries(terms)) {
+      if (!this.postings.has(key)) this.postings.set(key, []);
+      this.postings.get(key).push([doc, positions.length, positions]);
+      if (!key.includes("\0")) length += positions.length;
+    }
+    this.docLengths[doc] = length;
+    this.docCount++;
+    this.totalLength += length;
+    return this;
+  }
+
+  build(records) {
+    records.forEach((record, i) => this.add(i, SparseEngine.terms(record, this.fields, this.analyzer)));
+    return this;
+  }
+
+  get avgLength() {
+    return this.totalLength / (this.docCount || 1);
+  }
+
+  idf(key) {
+    const df = this.postings.get(key)?.length || 0;
+    return Math.log((this.docCount - df + 0.5) / (df + 0.5) + 1);
+  }
+
+  // One term's contribution to a document's score.
+  weight(tf, docLength, idf) {
+    const norm = this.k1 * (1 - this.b + this.b * docLength / this.avgLength);
+    return idf * (tf * (this.k1 + 1)) / (tf + norm);
+  }
+
+  termScores(key) {
+    const scores = new Map();
+    const idf = this.idf(key);
+    for (const [doc, tf] of this.postings.get(key) || []) {
+      scores.set(doc, this.weight(tf, this.docLengths[doc], idf));
+    }
+    return scores;
+  }
+
+  // A phrase scores like a single term whose tf is the number of times the
+  // phrase occurs and whose idf is the sum of its terms' idfs.
+  phraseScores(keys) {
+    if (keys.length <= 1) return keys.length ? this.termScores(keys[0]) : new Map();
+    const lists = keys.map(key => new Map(
+      (this.postings.get(key) || []).map(([doc, , positions]) => [doc, positions])));
+    const idf = keys.reduce((sum, key) => sum + this.idf(key), 0);
+    const scores = new Map();
+    for (const doc of lists[0].keys()) {
+      const tf = SparseEngine.phraseFrequency(lists.map(list => list.get(doc)));
+      if (tf) scores.set(doc, this.weight(tf, this.docLengths[doc], idf));
+    }
+    return scores;
+  }
+
+  // How often consecutive terms occur in sequence, given each term's
+  // positions in one document (undefined where the term is absent).
+  static phraseFrequency([starts, ...rest]) {
+    if (!starts || rest.some(positions => !positions)) return 0;
+    const sets = rest.map(positions => new Set(positions));
+    return starts.filter(p => sets.every((set, i) => set.has(p + i + 1))).length;
+  }
+
+  // The posting of `key` for `doc`, by binary search.
+  posting(key, doc) {
+    const list = this.postings.get(key) || [];
+    let low = 0;
+    let high = list.length - 1;
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (list[mid][0] === doc) return list[mid];
+      if (list[mid][0] < doc) low = mid + 1;
+      else high = mid - 1;
+    }
+    return null;
+  }
+
+  // Why `doc` scored as it did under a parsed query: its length norm
+  // (1 - b + b * docLength / avgLength) and every matching term or phrase
+  // with tf, df, idf and its contribution, boost * idf * tf * (k1 + 1) /
+  // (tf + k1 * norm). Contributions add up to the score; null when the
+  // query does not match `doc`.
+  explain(query, doc) {
+    const docLength = this.docLengths[doc];
+    const norm = 1 - this.b + this.b * docLength / this.avgLength;
+    const split = (key) => {
+      const at = key.indexOf("\0");
+      return at === -1 ? { field: null, term: key } : { field: key.slice(0, at), term: key.slice(at + 1) };
+    };
+    const termEntry = (key, boost = 1) => {
+      const posting = this.posting(key, doc);
+      if (!posting) return null;
+      const tf = posting[1];
+      const idf = this.idf(key);
+      return {
+        ...split(key),
+        tf,
+        df: this.postings.get(key).length,
+        idf,
+        ...(boost !== 1 ? { boost } : {}),
+        contribution: boost * this.weight(tf, docLength, idf)
+      };
+    };
+    const walk = (node) => {
+      switch (node.type) {
+        case "term": {
+          const entry = termEntry(termKey(node.field, node.term), node.boost);
+          return entry && [entry];
+        }
+        case "phrase": {
+          const keys = node.terms.map(term => termKey(node.field, term));
+          if (keys.length <= 1) return keys.length ? walk({ ...node, type: "term", term: node.terms[0] }) : null;
+          const tf = SparseEngine.phraseFrequency(keys.map(key => this.posting(key, doc)?.[2]));
+          if (!tf) return null;
+          const terms = keys.map(key => ({ term: split(key).term, df: this.postings.get(key).length, idf: this.idf(key) }));
+          const idf = terms.reduce((sum, term) => sum + term.idf, 0);
+          return [{ field: node.field, phrase: node.terms, tf, terms, idf, contribution: this.weight(tf, docLength, idf) }];
+        }
+        case "prefix":
+        case "range": {
+          const match = keyMatcher(node);
+          const entries = [...this.postings.keys()].filter(match).map(key => termEntry(key)).filter(Boolean);
+          return entries.length ? entries : null;
+        }
+      }
+      if (node.negated.some(clause => walk(clause))) return null;
+      const parts = node.clauses.map(walk);
+      if (node.type === "and" && parts.some(part => !part)) return null;
+      const entries = parts.filter(Boolean).flat();
+      return entries.length ? entries : null;
+    };
+    const terms = walk(query);
+    return terms && { docLength, avgLength: this.avgLength, k1: this.k1, b: this.b, norm, terms };
+  }
+
+  // Matching documents of a parsed query node: Map doc -> score. OR sums
+  // the scores of its clauses, AND sums them over the documents matching
+  // every clause; negated clauses remove their matches.
+  evaluate(node) {
+    const sum = (target, scores) => {
+      for (const [doc, score] of scores) target.set(doc, (target.get(doc) || 0) + score);
+      return target;
+    };
+    switch (node.type) {
+      case "term": {
+        const scores = this.termScores(termKey(node.field, node.term));
+        if (node.boost !== undefined) {
+          for (const [doc, score] of scores) scores.set(doc, score * node.boost);
+        }
+        return scores;
+      }
+      case "phrase":
+        return this.phraseScores(node.terms.map(term => termKey(node.field, term)));
+      case "prefix":
+      case "range": {
+        const match = keyMatcher(node);
+        const scores = new Map();
+        for (const key of this.postings.keys()) {
+          if (match(key)) sum(scores, this.termScores(key));
+        }
+        return scores;
+      }
+    }
+    const [first, ...others] = node.clauses.map(clause => this.evaluate(clause));
+    let scores = new Map(first);
+    if (node.type === "or") {
+      others.forEach(other => sum(scores, other));
+    } else {
+      scores = new Map();
+      for (const [doc, score] of first) {
+        if (!others.every(other => other.has(doc))) continue;
+        scores.set(doc, others.reduce((total, other) => total + other.get(doc), score));
+      }
+    }
+    for (const clause of node.negated) {
+      for (const doc of this.evaluate(clause).keys()) scores.delete(doc);
+    }
+    return scores;
+  }
+
+  // The `k` best documents scoring at least `minScore` (and above zero),
+  // best first with ties by doc id, and how many qualified: { total,
+  // results }, each hit with its explain() when `explain` is set.
+  // `query` may be a query string or an already parsed query. When
+  // `exact` (a parsed query) is given, `query` is its fuzzy rewrite:
+  // documents matching `exact` rank above all others, which are marked
+  // `fuzzy`.
+  rank(query, { exact = null, k = Infinity, minScore = 0, explain = false } = {}) {
+    const node = typeof query === "string"
+      ? parseQuery(query, { fields: this.fields, analyzer: this.analyzer })
+      : query;
+    const exactDocs = exact ? this.evaluate(exact) : null;
+    const top = new TopK(k, better);
+    let total = 0;
+    for (const [id, score] of this.evaluate(node)) {
+      if (score <= 0 || score < minScore) continue;
+      total++;
+      top.push(exactDocs && !exactDocs.has(id) ? { id, score, fuzzy: true } : { id, score });
+    }
+    const results = top.sorted();
+    if (explain) results.forEach(hit => (hit.explanation = this.explain(node, hit.id)));
+    return { total, results };
+  }
+
+  // Every matching document, best first.
+  search(query, options = {}) {
+    return this.rank(query, options).results;
+  }
+}
+
+// Unsigned LEB128 varints, the postings encoding.
+class ByteWriter {
+  constructor(size = 1024) {
+    this.bytes = new Uint8Array(size);
+    this.length = 0;
+  }
+
+  reserve(n) {
+    if (this.length + n <= this.bytes.length) return;
+    const grown = new Uint8Array(Math.max(this.bytes.length * 2, this.length + n));
+    grown.set(this.bytes.subarray(0, this.length));
+    this.bytes = grown;
+  }
+
+  varint(n) {
+    this.reserve(5);
+    while (n > 0x7f) {
+      this.bytes[this.length++] = (n & 0x7f) | 0x80;
+      n >>>= 7;
+    }
+    this.bytes[this.length++] = n;
+  }
+
+  raw(bytes) {
+    this.reserve(bytes.length);
+    this.bytes.set(bytes, this.length);
+    this.length += bytes.length;
+  }
+
+  result() {
+    return this.bytes.subarray(0, this.length);
+  }
+}
+
+const readVarint = (bytes, cursor) => {
+  let n = 0;
+  let shift = 0;
+  let byte;
+  do {
+    byte = bytes[cursor.offset++];
+    n += (byte & 0x7f) * 2 ** shift;
+    shift += 7;
+  } while (byte & 0x80);
+  return n;
+};
+
+// One BM25 index segment (.plexidx). Integers are little-endian:
+//   magic       "PLEXIDX\0"
+//   version     u32
+//   header      u32 length + UTF-8 JSON: fields, k1, b, analyzer settings,
+//               docCount, totalLength and the [offset, length] of each section,
+//               counted from the end of the header
+//   docLengths  u32 per doc slot (0 where no document was indexed)
+//   dictionary  per postings key, sorted: varint length, UTF-8 key,
+//               varint df, varint byte length of its postings
+//   postings    per key: (varint doc delta, varint tf,
+//               tf x varint position delta) x df
+//   ids         per doc slot: varint length, UTF-8 `_id`
+// open() reads everything but the postings, which are read and decoded
+// only for the keys a query uses.
+class IndexFile {
+  static MAGIC = "PLEXIDX\0";
+  static VERSION = 3;
+
+  constructor(path, header, docLengths, dictionary, ids) {
+    this.path = path;
+    this.header = header;
+    this.docLengths = docLengths;
+    this.dictionary = dictionary; // term -> { df, offset, length }
+    this.ids = ids;
+  }
+
+  static encode(engine, ids = []) {
+    const encoder = new TextEncoder();
+    const terms = [...engine.postings.keys()].sort();
+    const dictionary = new ByteWriter();
+    const postings = new ByteWriter();
+    for (const term of terms) {
+      const list = engine.postings.get(term);
+      const start = postings.length;
+      let previous = 0;
+      for (const [doc, tf, positions] of list) {
+        postings.varint(doc - previous);
+        postings.varint(tf);
+        let at = 0;
+        for (const position of positions) {
+          postings.varint(position - at);
+          at = position;
+        }
+        previous = doc;
+      }
+      const name = encoder.encode(term);
+      dictionary.varint(name.length);
+      dictionary.raw(name);
+      dictionary.varint(list.length);
+      dictionary.varint(postings.length - start);
+    }
+    const idList = new ByteWriter();
+    for (let doc = 0; doc < engine.docLengths.length; doc++) {
+      const id = encoder.encode(String(ids[doc] ?? ""));
+      idList.varint(id.length);
+      idList.raw(id);
+    }
+
+    const slots = engine.docLengths.length;
+    const header = encoder.encode(JSON.stringify({
+      fields: engine.fields,
+      k1: engine.k1,
+      b: engine.b,
+      analyzer: engine.analyzer.settings,
+      docCount: engine.docCount,
+      totalLength: engine.totalLength,
+      sections: {
+        docLengths: [0, slots * 4],
+        dictionary: [slots * 4, dictionary.length],
+        postings: [slots * 4 + dictionary.length, postings.length],
+        ids: [slots * 4 + dictionary.length + postings.length, idList.length]
+      }
+    }));
+
+    const out = new ByteWriter(16 + header.length + slots * 4 +
+      dictionary.length + postings.length + idList.length);
+    const prefix = new DataView(new ArrayBuffer(16));
+    encoder.encode(IndexFile.MAGIC).forEach((byte, i) => prefix.setUint8(i, byte));
+    prefix.setUint32(8, IndexFile.VERSION, true);
+    prefix.setUint32(12, header.length, true);
+    out.raw(new Uint8Array(prefix.buffer));
+    out.raw(header);
+    const lengths = new DataView(new ArrayBuffer(slots * 4));
+    for (let doc = 0; doc < slots; doc++) {
+      lengths.setUint32(doc * 4, engine.docLengths[doc] || 0, true);
+    }
+    out.raw(new Uint8Array(lengths.buffer));
+    out.raw(dictionary.result());
+    out.raw(postings.result());
+    out.raw(idList.result());
+    return out.result();
+  }
+
+  static async write(path, engine, ids) {
+    await writeBytes(path, IndexFile.encode(engine, ids));
+  }
+
+  static async open(path) {
+    const prefix = await readBytes(path, 0, 16);
+    const magic = new TextDecoder().decode(prefix.subarray(0, 8));
+    if (prefix.length < 16 || magic !== IndexFile.MAGIC) {
+      throw new Error(`${path}: not a PLEX index`);
+    }
+    const view = new DataView(prefix.buffer, prefix.byteOffset, 16);
+    const version = view.getUint32(8, true);
+    if (version !== IndexFile.VERSION) {
+      throw new Error(`${path}: unsupported index version ${version}`);
+    }
+    const headerLength = view.getUint32(12, true);
+    const header = JSON.parse(new TextDecoder().decode(
+      await readBytes(path, 16, headerLength)));
+    const base = 16 + headerLength;
+
+    const [lengthsAt, lengthsSize] = header.sections.docLengths;
+    const raw = await readBytes(path, base + lengthsAt, lengthsSize);
+    const lengths = new DataView(raw.buffer, raw.byteOffset, raw.length);
+    const docLengths = new Array(lengthsSize / 4);
+    for (let doc = 0; doc < docLengths.length; doc++) {
+      docLengths[doc] = lengths.getUint32(doc * 4, true);
+    }
+
+    const dictionary = new Map();
+    const [dictionaryAt, dictionarySize] = header.sections.dictionary;
+    const bytes = await readBytes(path, base + dictionaryAt, dictionarySize);
+    const decoder = new TextDecoder();
+    const cursor = { offset: 0 };
+    let offset = base + header.sections.postings[0];
+    while (cursor.offset < bytes.length) {
+      const size = readVarint(bytes, cursor);
+      const term = decoder.decode(bytes.subarray(cursor.offset, cursor.offset + size));
+      cursor.offset += size;
+      const df = readVarint(bytes, cursor);
+      const length = readVarint(bytes, cursor);
+      dictionary.set(term, { df, offset, length });
+      offset += length;
+    }
+
+    const [idsAt, idsSize] = header.sections.ids;
+    const idBytes = await readBytes(path, base + idsAt, idsSize);
+    const ids = new Array(docLengths.length);
+    cursor.offset = 0;
+    for (let doc = 0; doc < ids.length; doc++) {
+      const size = readVarint(idBytes, cursor);
+      ids[doc] = decoder.decode(idBytes.subarray(cursor.offset, cursor.offset + size));
+      cursor.offset += size;
+    }
+    return new IndexFile(path, header, docLengths, dictionary, ids);
+  }
+
+  static decodePostings(bytes, cursor, df) {
+    const list = new Array(df);
+    let doc = 0;
+    for (let i = 0; i < df; i++) {
+      doc += readVarint(bytes, cursor);
+      const tf = readVarint(bytes, cursor);
+      const positions = new Array(tf);
+      let at = 0;
+      for (let p = 0; p < tf; p++) positions[p] = at += readVarint(bytes, cursor);
+      list[i] = [doc, tf, positions];
+    }
+    return list;
+  }
+
+  async postings(key) {
+    const entry = this.dictionary.get(key);
+    if (!entry) return [];
+    const bytes = await readBytes(this.path, entry.offset, entry.length);
+    return IndexFile.decodePostings(bytes, { offset: 0 }, entry.df);
+  }
+
+  // Postings of several keys: Map key -> postings. Keys stored less than
+  // `gap` bytes apart (a prefix or range expansion is one sorted run) are
+  // fetched with a single read.
+  async postingsFor(keys, gap = 65536) {
+    const entries = keys
+      .filter(key => this.dictionary.has(key))
+      .map(key => [key, this.dictionary.get(key)])
+      .sort((a, b) => a[1].offset - b[1].offset);
+    const found = new Map();
+    for (let i = 0; i < entries.length;) {
+      let j = i + 1;
+      let end = entries[i][1].offset + entries[i][1].length;
+      while (j < entries.length && entries[j][1].offset - end < gap) {
+        end = entries[j][1].offset + entries[j][1].length;
+        j++;
+      }
+      const start = entries[i][1].offset;
+      const bytes = await readBytes(this.path, start, end - start);
+      for (; i < j; i++) {
+        const [key, { df, offset }] = entries[i];
+        found.set(key, IndexFile.decodePostings(bytes, { offset: offset - start }, df));
+      }
+    }
+    return found;
+  }
+
+  // Every [key, postings] pair in dictionary order, from one read of the
+  // postings section.
+  async *entries() {
+    const [first] = this.dictionary.values();
+    if (!first) return;
+    const [, length] = this.header.sections.postings;
+    const bytes = await readBytes(this.path, first.offset, length);
+    const cursor = { offset: 0 };
+    for (const [term, { df }] of this.dictionary) {
+      yield [term, IndexFile.decodePostings(bytes, cursor, df)];
+    }
+  }
+}
+
+// An index directory: immutable IndexFile segments plus segments.json,
+// which lists them with their first doc number and replay manifest and
+// holds the tombstones (doc numbers deleted or replaced since their
+// segment was written). Documents are keyed by the record field named by
+// `idField` (`_id` by default); adding an id that is already live
+// tombstones the old copy. Corpus statistics are computed over live
+// documents only: df from the tombstone-filtered postings, avgdl from
+// live doc lengths. compact() rewrites everything as one segment.
+class SparseIndex {
+  static MANIFEST = "segments.json";
+
+  // Indexes written before analyzers were configurable used these.
+  static LEGACY_ANALYZER = { normalize: null, split: "ascii" };
+
+  constructor(dir, manifest, segments) {
+    this.dir = dir;
+    this.manifest = manifest;
+    this.analyzer = new Analyzer(manifest.analyzer ?? SparseIndex.LEGACY_ANALYZER);
+    this.segments = segments; // IndexFiles, parallel to manifest.segments
+    this.tombstones = new Set(manifest.tombstones);
+    this.idField = manifest.idField ?? "_id";
+    this.live = new Map(); // id -> doc
+    segments.forEach((segment, i) => {
+      const { base } = manifest.segments[i];
+      segment.ids.forEach((id, slot) => {
+        if (!this.tombstones.has(base + slot)) this.live.set(id, base + slot);
+      });
+    });
+  }
+
+  // Replaces any index in `dir`. Segment numbers carry on from it, so a
+  // manifest already written for the first new segment is not mistaken
+  // for an old one.
+  static async create(dir, {
+    fields = SparseEngine.DEFAULT_FIELDS, k1 = 1.2, b = 0.75, analyzer = new Analyzer(),
+    idField = "_id"
+  } = {}) {
+    const fs = await import("fs/promises");
+    await fs.mkdir(dir, { recursive: true });
+    const previous = await readJSON(`${dir}/${SparseIndex.MANIFEST}`).catch(() => null);
+    for (const segment of previous?.segments || []) {
+      for (const file of [segment.file, ...SparseIndex.manifestsOf(segment)]) {
+        if (!file.includes("/")) await fs.rm(`${dir}/${file}`, { force: true });
+      }
+    }
+    const index = new SparseIndex(dir, {
+      version: 1,
+      fields,
+      k1,
+      b,
+      analyzer: analyzer.settings,
+      idField,
+      nextDoc: 0,
+      nextSegment: previous?.nextSegment ?? 0,
+      segments: [],
+      tombstones: []
+    }, []);
+    await index.save();
+    return index;
+  }
+
+  static async open(dir) {
+    const manifest = await readJSON(`${dir}/${SparseIndex.MANIFEST}`);
+    if (manifest.version !== 1) {
+      throw new Error(`${dir}: unsupported index manifest version ${manifest.version}`);
+    }
+    const segments = [];
+    for (const { file } of manifest.segments) {
+      segments.push(await IndexFile.open(`${dir}/${file}`));
+    }
+    return new SparseIndex(dir, manifest, segments);
+  }
+
+  get docCount() {
+    return this.live.size;
+  }
+
+  // Writes segments.json through a temporary file, so a crash leaves
+  // either the old or the new manifest.
+  async save() {
+    const fs = await import("fs/promises");
+    const path = `${this.dir}/${SparseIndex.MANIFEST}`;
+    this.manifest.tombstones = [...this.tombstones].sort((a, b) => a - b);
+    await writeJSON(`${path}.tmp`, this.manifest);
+    await fs.rename(`${path}.tmp`, path);
+  }
+
+  nextSegmentFile() {
+    return `${SparseIndex.segmentName(this.manifest.nextSegment++)}.plexidx`;
+  }
+
+  static segmentName(n) {
+    return `segment-${String(n).padStart(6, "0")}`;
+  }
+
+  // Where the replay manifest of the next segment written to `dir` goes
+  // by default: next to it, as segment-NNNNNN.manifest.json.
+  static async nextManifestFile(dir) {
+    const manifest = await readJSON(`${dir}/${SparseIndex.MANIFEST}`).catch(() => null);
+    return `${dir}/${SparseIndex.segmentName(manifest?.nextSegment ?? 0)}.manifest.json`;
+  }
+
+  // The replay manifests behind a segment: its own, or for a compacted
+  // segment those of the segments merged into it.
+  static manifestsOf(segment) {
+    return segment.manifests ?? (segment.manifest ? [segment.manifest] : []);
+  }
+
+  // Appends `docs` ([{ id, terms }], in order) as a new segment, recording
+  // `manifest` (the path of the run that produced them, relative to the
+  // index directory when inside it). A later copy of an id replaces any
+  // earlier one, in the index or the batch.
+  async add(docs, { manifest = null } = {}) {
+    const { fields, k1, b } = this.manifest;
+    const engine = new SparseEngine({ fields, k1, b, analyzer: this.analyzer });
+    const ids = [];
+    const base = this.manifest.nextDoc;
+    let replaced = 0;
+    for (const { id, terms } of docs) {
+      const key = String(id);
+      if (this.live.has(key)) {
+        this.tombstones.add(this.live.get(key));
+        replaced++;
+      }
+      this.live.set(key, base + ids.length);
+      engine.add(ids.length, terms);
+      ids.push(key);
+    }
+    if (ids.length) {
+      const file = this.nextSegmentFile();
+      await IndexFile.write(`${this.dir}/${file}`, engine, ids);
+      this.segments.push(await IndexFile.open(`${this.dir}/${file}`));
+      const prefix = `${this.dir}/`;
+      this.manifest.segments.push({
+        file,
+        base,
+        docs: ids.length,
+        ...(manifest && {
+          manifest: manifest.startsWith(prefix) ? manifest.slice(prefix.length) : manifest
+        })
+      });
+      this.manifest.nextDoc += ids.length;
+    }
+    await this.save();
+    return { added: ids.length - replaced, replaced };
+  }
+
+  async delete(ids) {
+    let deleted = 0;
+    for (const id of ids) {
+      const key = String(id);
+      if (!this.live.has(key)) continue;
+      this.tombstones.add(this.live.get(key));
+      this.live.delete(key);
+      deleted++;
+    }
+    await this.save();
+    return { deleted };
+  }
+
+  // Merges all segments into one, dropping tombstoned documents and
+  // renumbering the live ones in their current order.
+  async compact() {
+    const { fields, k1, b } = this.manifest;
+    const engine = new SparseEngine({ fields, k1, b, analyzer: this.analyzer });
+    const ids = [];
+    const renumbered = new Map(); // old doc -> new doc
+    this.segments.forEach((segment, i) => {
+      const { base } = this.manifest.segments[i];
+      segment.ids.forEach((id, slot) => {
+        if (this.live.get(id) === base + slot) renumbered.set(base + slot, ids.push(id) - 1);
+      });
+    });
+    const terms = ids.map(() => ({}));
+    for (const [i, segment] of this.segments.entries()) {
+      const { base } = this.manifest.segments[i];
+      for await (const [key, list] of segment.entries()) {
+        for (const [slot, , positions] of list) {
+          const doc = renumbered.get(base + slot);
+          if (doc !== undefined) terms[doc][key] = positions;
+        }
+      }
+    }
+    terms.forEach((positions, doc) => engine.add(doc, positions));
+
+    const old = this.manifest.segments.map(({ file }) => file);
+    const manifests = this.manifest.segments.flatMap(SparseIndex.manifestsOf);
+    const file = this.nextSegmentFile();
+    await IndexFile.write(`${this.dir}/${file}`, engine, ids);
+    this.segments = [await IndexFile.open(`${this.dir}/${file}`)];
+    this.manifest.segments = [{ file, base: 0, docs: ids.length, manifests }];
+    this.manifest.nextDoc = ids.length;
+    this.tombstones = new Set();
+    this.live = new Map(ids.map((id, doc) => [id, doc]));
+    await this.save();
+
+    const fs = await import("fs/promises");
+    for (const name of old) await fs.rm(`${this.dir}/${name}`, { force: true });
+    return { docs: ids.length, segments: old.length };
+  }
+
+  // A SparseEngine over all segments holding the live corpus statistics
+  // but only the postings `query` (a parsed query) reads, which is all
+  // its search() needs. Doc numbers are global; idOf() maps them back to
+  // `_id`s.
+  async engine(query, { k1 = this.manifest.k1, b = this.manifest.b } = {}) {
+    const engine = new SparseEngine({ fields: this.manifest.fields, k1, b, analyzer: this.analyzer });
+    for (const doc of this.live.values()) {
+      const length = this.docLength(doc);
+      engine.docLengths[doc] = length;
+      engine.docCount++;
+      engine.totalLength += length;
+    }
+    const segments = this.segments;
+    const vocabulary = {
+      *[Symbol.iterator]() {
+        for (const segment of segments) yield* segment.dictionary.keys();
+      }
+    };
+    const keys = [...queryKeys(query, vocabulary)];
+    for (const [i, segment] of this.segments.entries()) {
+      const { base } = this.manifest.segments[i];
+      for (const [key, list] of await segment.postingsFor(keys)) {
+        if (!engine.postings.has(key)) engine.postings.set(key, []);
+        const postings = engine.postings.get(key);
+        for (const [slot, tf, positions] of list) {
+          if (!this.tombstones.has(base + slot)) postings.push([base + slot, tf, positions]);
+        }
+      }
+    }
+    for (const [key, postings] of engine.postings) {
+      if (!postings.length) engine.postings.delete(key);
+    }
+    return engine;
+  }
+
+  // The `k` best `_id`s matching the query text: { total, results,
+  // expansions }, as SparseEngine.rank(). With `fuzzy`, terms also match
+  // vocabulary terms within `maxEdits` edits (by default depending on
+  // term length), and exact matches still rank first; see fuzzyQuery().
+  async search(text, {
+    fuzzy = false, maxEdits = null, k = Infinity, minScore = 0, explain = false, ...options
+  } = {}) {
+    const exact = parseQuery(text, { fields: this.manifest.fields, analyzer: this.analyzer });
+    let query = exact;
+    let expansions = [];
+    if (fuzzy) {
+      const has = (key) => this.segments.some(segment => segment.dictionary.has(key));
+      ({ query, expansions } = fuzzyQuery(exact, this.vocabularyTree(), { maxEdits, has }));
+    }
+    const engine = await this.engine(query, options);
+    // Expansions found only in tombstoned documents matched nothing.
+    expansions = expansions
+      .map(entry => ({
+        ...entry,
+        expansions: entry.expansions.filter(({ term }) => engine.postings.has(termKey(entry.field, term)))
+      }))
+      .filter(entry => entry.expansions.length);
+    const { total, results } = engine.rank(query, { exact: fuzzy ? exact : null, k, minScore, explain });
+    return { total, results: results.map(hit => ({ ...hit, id: this.idOf(hit.id) })), expansions };
+  }
+
+  // BK-tree over every term in the index, built on first use.
+  vocabularyTree() {
+    if (!this.tree) {
+      this.tree = new BKTree();
+      const terms = new Set();
+      for (const segment of this.segments) {
+        for (const key of segment.dictionary.keys()) {
+          if (!key.includes("\0")) terms.add(key);
+        }
+      }
+      [...terms].sort().forEach(term => this.tree.add(term));
+    }
+    return this.tree;
+  }
+
+  segmentOf(doc) {
+    let i = this.segments.length - 1;
+    while (i > 0 && this.manifest.segments[i].base > doc) i--;
+    return i;
+  }
+
+  docLength(doc) {
+    const i = this.segmentOf(doc);
+    return this.segments[i].docLengths[doc - this.manifest.segments[i].base];
+  }
+
+  idOf(doc) {
+    const i = this.segmentOf(doc);
+    return this.segments[i].ids[doc - this.manifest.segments[i].base];
+  }
+}
+
+//////////////////////
+// Query Language
+//////////////////////
+
+// Search query grammar (keywords are upper case):
+//   query   := or
+//   or      := and ( [OR] and )*        adjacent clauses are OR'ed
+//   and     := unary ( AND unary )*
+//   unary   := ( NOT | - ) unary | primary
+//   primary := ( query ) | [field:] value
+//   value   := word | word* | "phrase" | [low TO high]
+// Ranges are inclusive and compare numerically when both bounds are
+// digit-only (so only digit-only terms match), lexically otherwise.
+// Negated clauses only subtract: a group must keep one positive clause.
+
+class QueryParseError extends Error {
+  constructor(message, position) {
+    super(`${message} at position ${position}`);
+    this.name = "QueryParseError";
+    this.position = position;
+  }
+}
+
+// Splits a query into [{ type, text, position }] tokens.
+const lexQuery = (text) => {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+    } else if ("()[]:".includes(c)) {
+      tokens.push({ type: c, text: c, position: i++ });
+    } else if (c === "-" && i + 1 < text.length && !/[\s)]/.test(text[i + 1])) {
+      tokens.push({ type: "-", text: c, position: i++ });
+    } else if (c === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end === -1) throw new QueryParseError("Unterminated phrase", i);
+      tokens.push({ type: "phrase", text: text.slice(i + 1, end), position: i });
+      i = end + 1;
+    } else {
+      const start = i;
+      while (i < text.length && !/[\s()[\]:"]/.test(text[i])) i++;
+      const word = text.slice(start, i);
+      const type = ["AND", "OR", "NOT", "TO"].includes(word) ? word : "word";
+      tokens.push({ type, text: word, position: start });
+    }
+  }
+  tokens.push({ type: "end", text: "end of query", position: text.length });
+  return tokens;
+};
+
+// Parses `text` into an AST of { type: "term" | "phrase" | "prefix" |
+// "range" | "and" | "or", ... } nodes; boolean nodes hold their positive
+// `clauses` and their `negated` ones. `fields`, when given, limits
+// field:value restrictions to those fields. Terms are run through
+// `analyzer` (without n-grams); prefixes and range bounds are only
+// normalized.
+const parseQuery = (text, { fields = null, analyzer = new Analyzer() } = {}) => {
+  const tokens = lexQuery(text);
+  let next = 0;
+  const peek = () => tokens[next];
+  const take = (type) => {
+    const token = tokens[next];
+    if (token.type !== type) {
+      throw new QueryParseError(`Expected ${type === "word" ? "a term" : `"${type}"`} but found "${token.text}"`, token.position);
+    }
+    next++;
+    return token;
+  };
+  const startsClause = (token) => ["word", "phrase", "(", "[", "-", "NOT"].includes(token.type);
+
+  const group = (type, parts, position) => {
+    if (parts.length === 1) return parts[0];
+    const clauses = parts.filter(p => p.type !== "not");
+    if (!clauses.length) {
+      throw new QueryParseError("A query needs at least one positive clause", position);
+    }
+    return { type, clauses, negated: parts.filter(p => p.type === "not").map(p => p.clause) };
+  };
+
+  const value = (field) => {
+    const token = peek();
+    if (token.type === "phrase") {
+      next++;
+      return { type: "phrase", field, terms: analyzer.terms(token.text, { grams: false }) };
+    }
+    if (token.type === "[") {
+      next++;
+      const low = analyzer.normalize(take("word").text);
+      take("TO");
+      const high = analyzer.normalize(take("word").text);
+      take("]");
+      return { type: "range", field, low, high };
+    }
+    const word = take("word");
+    const star = word.text.indexOf("*");
+    if (star !== -1) {
+      const prefix = analyzer.normalize(word.text.slice(0, -1));
+      if (star !== word.text.length - 1 || !prefix || Analyzer.SPLITS[analyzer.settings.split].test(prefix)) {
+        throw new QueryParseError(`Invalid prefix "${word.text}"`, word.position + star);
+      }
+      return { type: "prefix", field, prefix };
+    }
+    const terms = analyzer.terms(word.text, { grams: false });
+    return terms.length === 1 ? { type: "term", field, term: terms[0] } : { type: "phrase", field, terms };
+  };
+
+  const primary = () => {
+    const token = peek();
+    if (token.type === "(") {
+      next++;
+      const node = or();
+      take(")");
+      return node;
+    }
+    if (token.type === "word" && tokens[next + 1].type === ":") {
+      next += 2;
+      if (fields && !fields.includes(token.text)) {
+        throw new QueryParseError(`Unknown field "${token.text}" (indexed: ${fields.join(", ")})`, token.position);
+      }
+      return value(token.text);
+    }
+    if (token.type === "word" || token.type === "phrase" || token.type === "[") return value(null);
+    throw new QueryParseError(`Unexpected "${token.text}"`, token.position);
+  };
+
+  const unary = () => {
+    if (peek().type === "NOT" || peek().type === "-") {
+      next++;
+      const clause = unary();
+      return clause.type === "not" ? clause.clause : { type: "not", clause };
+    }
+    return primary();
+  };
+
+  const and = () => {
+    const position = peek().position;
+    const parts = [unary()];
+    while (peek().type === "AND") {
+      next++;
+      parts.push(unary());
+    }
+    return group("and", parts, position);
+  };
+
+  const or = () => {
+    const position = peek().position;
+    const parts = [and()];
+    while (peek().type === "OR" || startsClause(peek())) {
+      if (peek().type === "OR") next++;
+      parts.push(and());
+    }
+    return group("or", parts, position);
+  };
+
+  if (peek().type === "end") throw new QueryParseError("Empty query", 0);
+  const root = or();
+  if (peek().type !== "end") {
+    throw new QueryParseError(`Unexpected "${peek().text}"`, peek().position);
+  }
+  if (root.type === "not") {
+    throw new QueryParseError("A query needs at least one positive clause", 0);
+  }
+  return root;
+};
+
+// Postings key of a term, scoped to one field or across all of them.
+const termKey = (field, term) => field ? `${field}\0${term}` : term;
+
+// Predicate over postings keys for a prefix or range node.
+const keyMatcher = (node) => {
+  const scope = node.field ? `${node.field}\0` : "";
+  const termOf = (key) => {
+    if (!key.startsWith(scope)) return null;
+    const term = key.slice(scope.length);
+    return term.includes("\0") ? null : term;
+  };
+  if (node.type === "prefix") {
+    return (key) => termOf(key)?.startsWith(node.prefix) ?? false;
+  }
+  const digits = /^\d+$/;
+  if (digits.test(node.low) && digits.test(node.high)) {
+    const low = Number(node.low);
+    const high = Number(node.high);
+    return (key) => {
+      const term = termOf(key);
+      return term !== null && digits.test(term) && Number(term) >= low && Number(term) <= high;
+    };
+  }
+  return (key) => {
+    const term = termOf(key);
+    return term !== null && term >= node.low && term <= node.high;
+  };
+};
+
+// Every postings key `node` reads; prefix and range nodes are expanded
+// against `vocabulary` (an iterable of keys).
+const queryKeys = (node, vocabulary, keys = new Set()) => {
+  switch (node.type) {
+    case "term":
+      keys.add(termKey(node.field, node.term));
+      break;
+    case "phrase":
+      node.terms.forEach(term => keys.add(termKey(node.field, term)));
+      break;
+    case "prefix":
+    case "range": {
+      const match = keyMatcher(node);
+      for (const key of vocabulary) if (match(key)) keys.add(key);
+      break;
+    }
+    default:
+      [...node.clauses, ...node.negated].forEach(child => queryKeys(child, vocabulary, keys));
+  }
+  return keys;
+};
+
+// Edit distance between two terms, giving up (returning max + 1) once it
+// must exceed `max`.
+const levenshtein = (a, b, max = Infinity) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        previous[j] + 1,
+        row[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      best = Math.min(best, row[j]);
+    }
+    if (best > max) return max + 1;
+    previous = row;
+  }
+  return previous[b.length];
+};
+
+// Burkhard-Keller tree over a vocabulary: children are keyed by their
+// distance to the parent, so a lookup only descends into subtrees the
+// triangle inequality cannot rule out.
+class BKTree {
+  constructor() {
+    this.root = null;
+    this.size = 0;
+  }
+
+  add(term) {
+    if (!this.root) {
+      this.root = { term, children: new Map() };
+      this.size++;
+      return this;
+    }
+    let node = this.root;
+    for (;;) {
+      const distance = levenshtein(term, node.term);
+      if (distance === 0) return this;
+      const child = node.children.get(distance);
+      if (!child) {
+        node.children.set(distance, { term, children: new Map() });
+        this.size++;
+        return this;
+      }
+      node = child;
+    }
+  }
+
+  // Terms within `max` edits of `term`, nearest first (ties by term).
+  search(term, max) {
+    const found = [];
+    const stack = this.root ? [this.root] : [];
+    while (stack.length) {
+      const node = stack.pop();
+      const distance = levenshtein(term, node.term);
+      if (distance <= max) found.push({ term: node.term, distance });
+      for (const [d, child] of node.children) {
+        if (d >= distance - max && d <= distance + max) stack.push(child);
+      }
+    }
+    return found.sort((a, b) => a.distance - b.distance || (a.term < b.term ? -1 : 1));
+  }
+}
+
+// Edits a fuzzy search allows for a term: none for 1-2 characters, one
+// for 3-5, two beyond that.
+const autoEdits = (term) => term.length <= 2 ? 0 : term.length <= 5 ? 1 : 2;
+
+// Rewrites each positive term of a parsed query as an OR of the term and
+// its near misses in `tree`, each boosted by 0.5 per edit. Phrases,
+// prefixes, ranges and negated clauses stay exact. `has(key)` filters out
+// expansions absent from the index (e.g. from another field). Returns the
+// rewritten query and the expansions made: [{ term, field, expansions:
+// [{ term, distance, boost }] }].
+const fuzzyQuery = (node, tree, { maxEdits = null, has = () => true } = {}) => {
+  const expansions = [];
+  const rewrite = (node) => {
+    if (node.type === "and" || node.type === "or") {
+      return { ...node, clauses: node.clauses.map(rewrite) };
+    }
+    if (node.type !== "term") return node;
+    const edits = maxEdits ?? autoEdits(node.term);
+    const near = tree.search(node.term, edits)
+      .filter(({ term, distance }) => distance > 0 && has(termKey(node.field, term)))
+      .map(({ term, distance }) => ({ term, distance, boost: 0.5 ** distance }));
+    if (!near.length) return node;
+    expansions.push({ term: node.term, field: node.field, expansions: near });
+    return {
+      type: "or",
+      clauses: [node, ...near.map(({ term, boost }) => ({ ...node, term, boost }))],
+      negated: []
+    };
+  };
+  return { query: rewrite(node), expansions };
+};
+
+//////////////////////
+// PLEX Runtime Core
+//////////////////////
+
+class ExecutionError extends Error {
+  constructor(message, { unit = null, result = null } = {}) {
+    super(message);
+    this.name = "ExecutionError";
+    this.unit = unit;
+    this.result = result;
+  }
+}
+
+// Thrown when run()'s signal aborts; `result` holds the committed pulses.
+class CancelledError extends ExecutionError {
+  constructor(message, options) {
+    super(message, options);
+    this.name = "CancelledError";
+  }
+}
+
+const errorMessage = (err) =>
+  err instanceof Error ? err.message : String(err);
+
+// Minimal synchronous event emitter (node:events is not browser-safe).
+// Listeners on "*" receive every event; each event carries its `type`.
+class Emitter {
+  constructor() {
+    this.listeners = new Map();
+  }
+
+  on(type, listener) {
+    if (!this.listeners.has(type)) this.listeners.set(type, []);
+    this.listeners.get(type).push(listener);
+    return this;
+  }
+
+  off(type, listener) {
+    const list = this.listeners.get(type) || [];
+    const i = list.indexOf(listener);
+    if (i !== -1) list.splice(i, 1);
+    return this;
+  }
+
+  emit(type, payload = {}) {
+    const event = { type, ...payload };
+    for (const listener of [
+      ...(this.listeners.get(type) || []),
+      ...(this.listeners.get("*") || [])
+    ]) {
+      listener(event);
+    }
+  }
+}
+
+// 32-bit FNV-1a: small, fast and identical on every platform, which is all
+// partition assignment needs.
+const fnv1a = (text) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Seeded PRNG (mulberry32) returning floats in [0, 1) like Math.random; a
+// string seed is hashed with fnv1a first. Same seed, same sequence.
+const seededRandom = (seed) => {
+  let state = typeof seed === "string" ? fnv1a(seed) : seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Durable, append-only record of completed pulses: a header line naming the
+// run, then one NDJSON line per pulse with its outputs and checksum. Each
+// append is flushed to disk before the next pulse starts. Only each
+// pulse's record, input digest and place in the file are held in memory;
+// its outputs are read back when the pulse is replayed.
+class PulseJournal {
+  constructor(handle, header, entries, size) {
+    this.handle = handle;
+    this.header = header;
+    this.entries = entries;
+    this.size = size;
+  }
+
+  static async open(dir, header, resume = false) {
+    if (typeof window !== "undefined") {
+      throw new Error("Checkpointing requires Node.js");
+    }
+    const fs = await import("fs/promises");
+    const path = await import("path");
+    const file = path.join(dir, "journal.ndjson");
+    const entries = new Map();
+    // Bytes of the file made up of complete, valid lines.
+    let size = 0;
+
+    await fs.mkdir(dir, { recursive: true });
+
+    if (resume) {
+      const decoder = new TextDecoder();
+      let pending = [];
+      let corrupt = false;
+      const line = (bytes) => {
+        try {
+          const entry = JSON.parse(decoder.decode(bytes));
+          if (size === 0) {
+            if (canonicalize(entry) !== canonicalize(header)) {
+              throw new Error(
+                `Checkpoint in ${dir} was written by a different command or config`
+              );
+            }
+          } else {
+            entries.set(`${entry.partition}:${entry.pulse}`, {
+              record: entry.record,
+              inputDigest: entry.inputDigest,
+              offset: size,
+              length: bytes.length
+            });
+          }
+        } catch (err) {
+          if (!(err instanceof SyntaxError)) throw err;
+          corrupt = true;
+          return;
+        }
+        size += bytes.length + 1;
+      };
+
+      try {
+        for await (const chunk of readByteChunks(file)) {
+          let start = 0;
+          let nl;
+          while (!corrupt && (nl = chunk.indexOf(10, start)) !== -1) {
+            pending.push(chunk.subarray(start, nl));
+            line(Buffer.concat(pending));
+            pending = [];
+            start = nl + 1;
+          }
+          if (corrupt) break;
+          pending.push(chunk.subarray(start));
+        }
+      } catch (err) {
+        if (err.code !== "ENOENT") throw err;
+      }
+    }
+
+    // A run killed mid-append leaves a partial last line; cut it off. A
+    // journal without its header starts over.
+    if (size === 0) {
+      const first = JSON.stringify(header) + "\n";
+      await fs.writeFile(file, first);
+      size = Buffer.byteLength(first);
+    } else {
+      await fs.truncate(file, size);
+    }
+    return new PulseJournal(await fs.open(file, "a+"), header, entries, size);
+  }
+
+  get(partition, pulse) {
+    return this.entries.get(`${partition}:${pulse}`);
+  }
+
+  // The full journal line behind an entry from get().
+  async read({ offset, length }) {
+    const { buffer } = await this.handle.read(Buffer.alloc(length), 0, length, offset);
+    return JSON.parse(buffer.toString("utf8"));
+  }
+
+  async append(entry) {
+    const line = Buffer.from(JSON.stringify(entry) + "\n");
+    await this.handle.write(line);
+    await this.handle.datasync();
+    this.entries.set(`${entry.partition}:${entry.pulse}`, {
+      record: entry.record,
+      inputDigest: entry.inputDigest,
+      offset: this.size,
+      length: line.length - 1
+    });
+    this.size += line.length;
+  }
+
+  async close() {
+    await this.handle.close();
+  }
+}
+
+// Completed pulse outputs moved out of memory: each write is one NDJSON
+// "run" file sorted by EU id, and read() k-way merges the runs with the
+// still-resident outputs back into a single id-ordered stream.
+class SpillStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.runs = [];
+    this.bytes = 0;
+  }
+
+  static async create(parent = null) {
+    if (typeof window !== "undefined") {
+      throw new Error("Spill-to-disk requires Node.js");
+    }
+    const fs = await import("fs/promises");
+    const path = await import("path");
+    const os = await import("os");
+    const base = parent ?? os.tmpdir();
+    await fs.mkdir(base, { recursive: true });
+    return new SpillStore(await fs.mkdtemp(path.join(base, "plex-spill-")));
+  }
+
+  async write(units) {
+    const fs = await import("fs/promises");
+    const path = await import("path");
+    const file = path.join(this.dir, `run-${this.runs.length}.ndjson`);
+    const text = [...units]
+      .sort((a, b) => a.id - b.id)
+      .map(u => JSON.stringify(u) + "\n")
+      .join("");
+    await fs.writeFile(file, text);
+    this.runs.push(file);
+    this.bytes += text.length;
+  }
+
+  async *read(resident = []) {
+    const sources = [
+      ...this.runs.map(file => readNDJSON(file)),
+      resident.values()
+    ];
+    const heads = await Promise.all(sources.map(s => s.next()));
+
+    for (;;) {
+      let min = -1;
+      for (let i = 0; i < heads.length; i++) {
+        if (heads[i].done) continue;
+        if (min === -1 || heads[i].value.id < heads[min].value.id) min = i;
+      }
+      if (min === -1) return;
+      yield heads[min].value;
+      heads[min] = await sources[min].next();
+    }
+  }
+
+  async dispose() {
+    const fs = await import("fs/promises");
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+// What run() returns. `results` holds every EU in id order unless outputs
+// were spilled, in which case it is null and units() streams them back
+// from disk; dispose() removes the spill files.
+class ExecutionResult {
+  constructor({ results, pulses, summary, log, manifest, spill = null }) {
+    this.results = spill ? null : results;
+    this.pulses = pulses;
+    this.summary = summary;
+    this.log = log;
+    this.manifest = manifest;
+    this.spill = spill;
+    this.resident = results;
+  }
+
+  async *units() {
+    if (this.spill) yield* this.spill.read(this.resident);
+    else yield* this.resident;
+  }
+
+  async dispose() {
+    await this.spill?.dispose();
+  }
+}
+
+// Lifecycle events, in the order a run emits them:
+//   run:start    { config, command }
+//   pulse:start  { partition, pulse, units }
+//   unit:retry   { partition, pulse, id, attempt, error }
+//   unit:failed  { partition, pulse, id, attempt, error, fatal? }
+//   pulse:end    { partition, pulse, units, completed, failed, checksum,
+//                  resumed, durationMs }
+//   backpressure { retainedBytes, memoryBudget, spilled }
+//   run:end      { summary, rootHash, error, durationMs }
+// Unit events are emitted when their pulse settles, sorted by EU id, so
+// apart from durationMs the event stream is itself deterministic.
+class PlexRuntime extends Emitter {
+  // failureMode "fail-fast" aborts the run at the first EU that is still
+  // failing after `retries` extra attempts; "collect" records it and moves on.
+  // EUs are spread over `partitions` by a hash of their id; each partition
+  // is cut into its own pulses. `backend` picks where units execute (see
+  // BACKENDS); `threads` sizes the cpu backend's worker pool. Once retained
+  // outputs exceed `memoryBudget` bytes they are spilled to `spillDir`.
+  // maxConcurrency bounds units in flight per pulse, maxPulsesInFlight the
+  // pulses executing at once; `timeout` (ms) bounds each attempt of a unit.
+  constructor({
+    pulseSize = 32,
+    maxConcurrency = 8,
+    retries = 0,
+    failureMode = "fail-fast",
+    partitions = 1,
+    backend = "inline",
+    threads = maxConcurrency,
+    memoryBudget = null,
+    spillDir = null,
+    maxPulsesInFlight = 1,
+    timeout = null
+  }) {
+    super();
+    if (!["fail-fast", "collect"].includes(failureMode)) {
+      throw new Error(`Unknown failure mode: ${failureMode}`);
+    }
+    if (!Number.isInteger(partitions) || partitions < 1) {
+      throw new Error(`Invalid partition count: ${partitions}`);
+    }
+    if (!BACKENDS[backend]) {
+      throw new Error(`Unknown backend: ${backend}`);
+    }
+    this.pulseSize = pulseSize;
+    this.maxConcurrency = maxConcurrency;
+    this.retries = retries;
+    this.failureMode = failureMode;
+    this.partitions = partitions;
+    this.backend = backend;
+    this.threads = threads;
+    this.memoryBudget = memoryBudget;
+    this.spillDir = spillDir;
+    this.maxPulsesInFlight = maxPulsesInFlight;
+    this.timeout = timeout;
+  }
+
+  partitionOf(id) {
+    return fnv1a(String(id)) % this.partitions;
+  }
+
+  // Pulls the dataset (array, iterable or async iterable) one item at a
+  // time into per-partition buffers and releases a pulse whenever a buffer
+  // fills, then the partial pulses in partition order. At most one pulse
+  // per partition is ever buffered. This is the fixed order in which pulses
+  // are executed, journaled and hashed into the manifest.
+  async *schedule(dataset) {
+    const buffers = Array.from({ length: this.partitions }, () => []);
+    const next = new Array(this.partitions).fill(0);
+    let id = 0;
+
+    for await (const data of dataset) {
+      const k = this.partitionOf(id);
+      buffers[k].push({ id: id++, data });
+      if (buffers[k].length === this.pulseSize) {
+        yield { partition: k, pulse: next[k]++, tasks: buffers[k].splice(0) };
+      }
+    }
+
+    for (let k = 0; k < buffers.length; k++) {
+      if (buffers[k].length) {
+        yield { partition: k, pulse: next[k]++, tasks: buffers[k] };
+      }
+    }
+  }
+
+  // options.command is recorded in the manifest so the run can be replayed;
+  // options.range ({ from, to }, inclusive pulse ids) and options.partition
+  // recompute only part of the run, e.g. to narrow down a failing audit.
+  // With options.checkpoint every completed pulse is journaled to that
+  // directory, and options.resume skips the pulses a previous run already
+  // journaled. options.onPulse(units, record) sees each pulse as it commits;
+  // with options.retainResults false that is the only place outputs go,
+  // which keeps memory bounded for inputs larger than the heap.
+  // options.signal cancels the run: in-flight pulses are abandoned and a
+  // CancelledError carries everything committed so far, so a checkpointed
+  // run can be resumed.
+  async run(dataset, fn, {
+    command = null,
+    range = null,
+    partition = null,
+    checkpoint = null,
+    resume = false,
+    onPulse = null,
+    retainResults = true,
+    signal = null
+  } = {}) {
+    const results = [];
+    const pulses = [];
+    const log = [];
+    const from = range?.from ?? 0;
+    const to = range?.to ?? Infinity;
+    const journal = checkpoint &&
+      await PulseJournal.open(checkpoint, { config: this.config(), command }, resume);
+    const controller = new AbortController();
+    const cancel = () => controller.abort(signal.reason);
+    const inflight = [];
+    let backend = null;
+    let spill = null;
+    let retainedBytes = 0;
+    const started = performance.now();
+    const partial = () => this.executionResult(results, pulses, log, spill, {
+      command,
+      range,
+      partition
+    });
+    const checkCancelled = async () => {
+      if (controller.signal.aborted) {
+        throw new CancelledError(
+          `Run cancelled after ${pulses.length} committed pulses`,
+          { result: await partial() }
+        );
+      }
+    };
+
+    // Every in-flight attempt listens on the run's signal.
+    if (typeof window === "undefined") {
+      const { setMaxListeners } = await import("events");
+      setMaxListeners(0, controller.signal);
+    }
+    signal?.addEventListener("abort", cancel, { once: true });
+    if (signal?.aborted) cancel();
+    this.emit("run:start", { config: this.config(), command });
+
+    // Pulses execute up to maxPulsesInFlight at a time but always commit
+    // in schedule order: record, events, journal, onPulse, spill.
+    const commit = async ({ partition: k, pulse: p, inputDigest, journaled, execution, pulseStarted }) => {
+      const replayed = journaled && await journal.read(journaled);
+      const { units, attempts, fatal = null } = replayed
+        ? { units: replayed.results, attempts: replayed.log }
+        : await execution;
+      await checkCancelled();
+
+      const output = journaled ? null : canonicalize(units);
+      const record = journaled ? journaled.record : {
+        partition: k,
+        pulse: p,
+        units: units.length,
+        completed: units.filter(u => u.status === "completed").length,
+        failed: units.filter(u => u.status === "failed").length,
+        // Estimated in-memory size of the pulse's outputs (UTF-16).
+        bytes: output.length * 2,
+        inputDigest,
+        checksum: await sha256(output)
+      };
+
+      pulses.push(record);
+      for (const entry of attempts) {
+        log.push(entry);
+        if (!journaled) {
+          const last = entry.fatal || entry.attempt > this.retries;
+          this.emit(last ? "unit:failed" : "unit:retry", entry);
+        }
+      }
+      this.emit("pulse:end", {
+        partition: k,
+        pulse: p,
+        units: record.units,
+        completed: record.completed,
+        failed: record.failed,
+        checksum: record.checksum,
+        resumed: Boolean(journaled),
+        durationMs: performance.now() - pulseStarted
+      });
+      if (retainResults) {
+        for (const unit of units) {
+          results.push(unit);
+        }
+        retainedBytes += record.bytes;
+      }
+
+      const failed = fatal ?? units.find(u => u.status === "failed");
+      if (failed && (fatal || this.failureMode === "fail-fast")) {
+        throw new ExecutionError(
+          `EU ${failed.id} failed in partition ${k} pulse ${p}: ${failed.error}`,
+          { unit: failed, result: await partial() }
+        );
+      }
+
+      if (journal && !journaled) {
+        await journal.append({
+          partition: k,
+          pulse: p,
+          inputDigest,
+          record,
+          results: units,
+          log: attempts
+        });
+      }
+
+      if (onPulse) await onPulse(units, record);
+
+      // Backpressure: no further pulse is released until retained
+      // outputs are back under budget, which spilling guarantees.
+      if (this.memoryBudget !== null && retainedBytes > this.memoryBudget) {
+        spill ??= await SpillStore.create(this.spillDir);
+        this.emit("backpressure", {
+          retainedBytes,
+          memoryBudget: this.memoryBudget,
+          spilled: spill.runs.length + 1
+        });
+        await spill.write(results);
+        results.length = 0;
+        retainedBytes = 0;
+      }
+    };
+
+    try {
+      backend = new BACKENDS[this.backend](this);
+      await backend.open(command);
+      const invoke = (data, unitSignal, id) => backend.invoke(fn, data, unitSignal, id);
+
+      for await (const { partition: k, pulse: p, tasks: pulse } of this.schedule(dataset)) {
+        await checkCancelled();
+        if (partition !== null && k !== partition) continue;
+        if (p < from || p > to) continue;
+        const inputDigest = await sha256(canonicalize(pulse));
+        const journaled = journal?.get(k, p);
+
+        if (journaled && journaled.inputDigest !== inputDigest) {
+          throw new Error(
+            `Input for partition ${k} pulse ${p} differs from checkpoint ${checkpoint}`
+          );
+        }
+
+        if (!journaled) {
+          this.emit("pulse:start", { partition: k, pulse: p, units: pulse.length });
+        }
+        inflight.push({
+          partition: k,
+          pulse: p,
+          inputDigest,
+          journaled,
+          pulseStarted: performance.now(),
+          execution: journaled
+            ? null
+            : this.executePulse(k, p, pulse, invoke, controller.signal)
+        });
+
+        while (inflight.length >= this.maxPulsesInFlight) {
+          await commit(inflight.shift());
+        }
+      }
+
+      while (inflight.length) await commit(inflight.shift());
+    } catch (err) {
+      // Abandon uncommitted pulses; their units see the abort signal.
+      if (!controller.signal.aborted) controller.abort(err);
+      await Promise.allSettled(inflight.map(entry => entry.execution));
+      if (!(err instanceof ExecutionError)) await spill?.dispose();
+      this.emit("run:end", {
+        summary: err.result?.summary ?? null,
+        rootHash: null,
+        error: errorMessage(err),
+        durationMs: performance.now() - started
+      });
+      throw err;
+    } finally {
+      signal?.removeEventListener("abort", cancel);
+      await backend?.close();
+      await journal?.close();
+    }
+
+    // Deterministic merge: partition outputs back into EU id order.
+    results.sort((a, b) => a.id - b.id);
+    const result = await partial();
+    this.emit("run:end", {
+      summary: result.summary,
+      rootHash: result.manifest.rootHash,
+      error: null,
+      durationMs: performance.now() - started
+    });
+    return result;
+  }
+
+  // Map/reduce: runs `fn` like run() and folds the completed EUs' outputs
+  // with `reducer` ({ init, step, combine, finalize }, see REDUCERS). Each
+  // pulse is folded in EU id order as it commits, and the pulse partials
+  // are combined in schedule order as a binary tree whose shape depends
+  // only on the pulse count, so the value does not depend on concurrency,
+  // backend or timing. Outputs are not retained. Resolves to run()'s
+  // ExecutionResult with the finalized `value`.
+  async aggregate(dataset, fn, reducer, { onPulse = null, ...options } = {}) {
+    const partials = []; // { level, acc }, combined like a binary counter
+    const result = await this.run(dataset, fn, {
+      ...options,
+      retainResults: false,
+      onPulse: async (units, record) => {
+        let acc = reducer.init();
+        for (const unit of units) {
+          if (unit.status === "completed") acc = reducer.step(acc, unit.result);
+        }
+        let level = 0;
+        while (partials.length && partials[partials.length - 1].level === level) {
+          acc = reducer.combine(partials.pop().acc, acc);
+          level++;
+        }
+        partials.push({ level, acc });
+        if (onPulse) await onPulse(units, record);
+      }
+    });
+
+    let acc = partials.length ? partials.pop().acc : reducer.init();
+    while (partials.length) acc = reducer.combine(partials.pop().acc, acc);
+    result.value = reducer.finalize(acc);
+    return result;
+  }
+
+  async executionResult(results, pulses, log, spill, options) {
+    const summary = {
+      units: 0,
+      completed: 0,
+      failed: 0,
+      retries: log.length - pulses.reduce((n, p) => n + p.failed, 0),
+      pulses: []
+    };
+    for (const { partition, pulse, units, completed, failed } of pulses) {
+      summary.units += units;
+      summary.completed += completed;
+      summary.failed += failed;
+      summary.pulses.push({ partition, pulse, completed, failed });
+    }
+    if (spill) summary.spilled = { files: spill.runs.length, bytes: spill.bytes };
+
+    return new ExecutionResult({
+      results,
+      pulses,
+      summary,
+      log,
+      manifest: await this.manifest(pulses, options),
+      spill
+    });
+  }
+
+  config() {
+    return {
+      pulseSize: this.pulseSize,
+      maxConcurrency: this.maxConcurrency,
+      retries: this.retries,
+      failureMode: this.failureMode,
+      partitions: this.partitions,
+      backend: this.backend,
+      threads: this.threads,
+      memoryBudget: this.memoryBudget,
+      maxPulsesInFlight: this.maxPulsesInFlight,
+      timeout: this.timeout
+    };
+  }
+
+  // Replay manifest: enough to prove two runs agree without comparing
+  // their outputs. The input digest and root hash chain the per-pulse
+  // digests in schedule order, so a single changed EU changes both; the
+  // per-partition checksums let one partition be re-checked on its own.
+  async manifest(pulses, { command = null, range = null, partition = null } = {}) {
+    const partitions = [];
+    for (let k = 0; k < this.partitions; k++) {
+      const own = pulses.filter(p => p.partition === k);
+      if (!own.length) continue;
+      partitions.push({
+        partition: k,
+        units: own.reduce((n, p) => n + p.units, 0),
+        checksum: await sha256(own.map(p => p.checksum).join(""))
+      });
+    }
+
+    return {
+      version: 1,
+      config: this.config(),
+      command,
+      ...(range && { range }),
+      ...(partition !== null && { partition }),
+      inputDigest: await sha256(pulses.map(p => p.inputDigest).join("")),
+      units: pulses.reduce((n, p) => n + p.units, 0),
+      partitions,
+      pulses,
+      rootHash: await sha256(pulses.map(p => p.checksum).join(""))
+    };
+  }
+
+  // Units are pre-allocated in task order and filled in place, so the
+  // returned pulse is ordered by EU id however the async calls interleave.
+  // Every failed attempt is recorded; retries happen immediately and a
+  // fixed number of times, so the attempt log is itself reproducible. Units
+  // not yet settled when `signal` aborts stay pending. An error marked
+  // `fatal` (e.g. a strict sandbox violation) is not retried and is
+  // returned as `fatal`, which fails the run whatever the failure mode.
+  async executePulse(partition, pulseId, pulse, invoke, signal = null) {
+    const units = pulse.map(task => ({
+      id: task.id,
+      partition,
+      pulse: pulseId,
+      status: "pending",
+      result: undefined
+    }));
+    const attempts = [];
+    const inflight = new Set();
+    let failing = false;
+    let fatal = null;
+
+    for (let i = 0; i < pulse.length; i++) {
+      while (inflight.size >= this.maxConcurrency) {
+        await Promise.race(inflight);
+      }
+      if (signal?.aborted) break;
+      if (failing && (this.failureMode === "fail-fast" || fatal)) break;
+
+      const unit = units[i];
+      const exec = (async () => {
+        for (let attempt = 1; ; attempt++) {
+          try {
+            unit.result = await this.attempt(invoke, pulse[i], signal);
+            unit.status = "completed";
+            return;
+          } catch (err) {
+            if (signal?.aborted) return;
+            const error = errorMessage(err);
+            attempts.push({
+              partition, pulse: pulseId, id: unit.id, attempt, error,
+              ...(err?.fatal && { fatal: true })
+            });
+            if (attempt > this.retries || err?.fatal) {
+              unit.status = "failed";
+              unit.error = error;
+              failing = true;
+              if (err?.fatal && (!fatal || unit.id < fatal.id)) fatal = unit;
+              return;
+            }
+          }
+        }
+      })().finally(() => inflight.delete(exec));
+
+      inflight.add(exec);
+    }
+
+    await Promise.all(inflight);
+
+    attempts.sort((a, b) => a.id - b.id || a.attempt - b.attempt);
+    return { units, attempts, fatal };
+  }
+
+  // One call of the execution function on a task ({ id, data }), bounded
+  // by `timeout` and by the run's signal. The function gets an AbortSignal
+  // of its own; if it ignores it, the attempt is failed anyway and its
+  // eventual result discarded. Both are timers on this thread, so they
+  // only preempt a unit that is busy in synchronous code on the cpu
+  // backend, whose worker is terminated; inline, such a unit runs to
+  // completion (or forever) first.
+  attempt(invoke, { id, data }, runSignal) {
+    const controller = new AbortController();
+    const abort = () => controller.abort(runSignal.reason);
+    let timer = null;
+
+    return new Promise((resolve, reject) => {
+      controller.signal.addEventListener(
+        "abort",
+        () => reject(controller.signal.reason),
+        { once: true }
+      );
+      runSignal?.addEventListener("abort", abort, { once: true });
+      if (runSignal?.aborted) abort();
+      if (this.timeout !== null) {
+        timer = setTimeout(
+          () => controller.abort(new Error(`Timed out after ${this.timeout} ms`)),
+          this.timeout
+        );
+      }
+      Promise.resolve()
+        .then(() => invoke(data, controller.signal, id))
+        .then(resolve, reject);
+    }).finally(() => {
+      clearTimeout(timer);
+      runSignal?.removeEventListener("abort", abort);
+    });
+  }
+}
+
+//////////////////////
+// Execution Backends
+//////////////////////
+
+// Runs execution functions on the calling thread, interleaved as async
+// calls.
+class InlineBackend {
+  async open() {}
+
+  invoke(fn, data, signal, id) {
+    return fn(data, { signal, id });
+  }
+
+  async close() {}
+}
+
+// Fixed pool of worker threads, each running this file with the run's
+// command. Functions cannot cross a thread boundary, so workers rebuild
+// theirs from the command's execution function registry; the caller's `fn`
+// is not used. A worker runs one unit at a time and further units queue, so
+// the pool never oversubscribes. Outputs land in their pre-allocated EU
+// slots, so ordering does not depend on which worker finishes first.
+class CpuBackend {
+  constructor({ threads }) {
+    this.size = threads;
+    this.slots = [];
+    this.idle = [];
+    this.queue = [];
+  }
+
+  async open(command) {
+    if (typeof window !== "undefined") {
+      throw new Error("The cpu backend requires Node.js");
+    }
+    if (!command) {
+      throw new Error("The cpu backend needs options.command to rebuild the execution function in its workers");
+    }
+    const { Worker } = await import("worker_threads");
+    this.spawn = () => {
+      const slot = {
+        worker: new Worker(__filename, { workerData: { command } }),
+        job: null
+      };
+
+      slot.worker.on("message", ({ result, error, fatal }) => {
+        const job = slot.job;
+        slot.job = null;
+        this.idle.push(slot);
+        this.dispatch();
+        if (error === undefined) job.resolve(result);
+        else job.reject(Object.assign(new Error(error), fatal && { fatal }));
+      });
+
+      // A worker that crashes or exits (a unit calling process.exit())
+      // fails its unit (which may then be retried) and is replaced,
+      // keeping the pool at a fixed size.
+      const lost = err => {
+        const job = slot.job;
+        this.replace(slot);
+        job?.reject(err);
+      };
+      slot.worker.on("error", lost);
+      slot.worker.on("exit", code => lost(new Error(`Worker exited with code ${code}`)));
+      return slot;
+    };
+    this.slots = Array.from({ length: this.size }, () => this.spawn());
+    this.idle = [...this.slots];
+  }
+
+  invoke(fn, data, signal, id) {
+    return new Promise((resolve, reject) => {
+      const job = { data, id, resolve, reject };
+      this.queue.push(job);
+      signal?.addEventListener("abort", () => this.cancel(job, signal.reason), {
+        once: true
+      });
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    while (this.idle.length && this.queue.length) {
+      const slot = this.idle.shift();
+      slot.job = this.queue.shift();
+      slot.worker.postMessage({ data: slot.job.data, id: slot.job.id });
+    }
+  }
+
+  // A unit that timed out or was cancelled may be stuck in a CPU loop that
+  // no signal can reach, so its worker is terminated and replaced.
+  cancel(job, reason) {
+    const queued = this.queue.indexOf(job);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+    } else {
+      const slot = this.slots.find(s => s.job === job);
+      if (!slot) return;
+      this.replace(slot);
+    }
+    job.reject(reason);
+  }
+
+  replace(slot) {
+    slot.worker.removeAllListeners();
+    slot.worker.terminate();
+    const i = this.slots.indexOf(slot);
+    if (i === -1) return;
+    this.idle = this.idle.filter(s => s !== slot);
+    this.slots[i] = this.spawn();
+    this.idle.push(this.slots[i]);
+    this.dispatch();
+  }
+
+  async close() {
+    const slots = this.slots;
+    this.slots = [];
+    this.idle = [];
+    await Promise.all(slots.map(({ worker }) => {
+      worker.removeAllListeners();
+      return worker.terminate();
+    }));
+  }
+}
+
+const BACKENDS = {
+  inline: InlineBackend,
+  cpu: CpuBackend
+};
+
+// Worker side of CpuBackend: one unit per message, one reply per unit.
+const serveWorker = (port, { command }) => {
+  const ready = createExecutionFunction(command);
+  const { signal } = new AbortController();
+  port.on("message", async ({ data, id }) => {
+    try {
+      const fn = await ready;
+      port.postMessage({ result: await fn(data, { signal, id }) });
+    } catch (err) {
+      port.postMessage({ error: errorMessage(err), ...(err?.fatal && { fatal: true }) });
+    }
+  });
+};
+
+//////////////////////
+// Execution Functions
+//////////////////////
+
+// Built-in execution functions, keyed by the command name recorded in
+// replay manifests, so `verify` can rebuild the exact function a run used.
+// A scan matches leaf values (never JSON keys), everywhere or under the
+// dotted `fields`, against literal or regex `patterns`; `match` "any" or
+// "all" decides how the patterns combine. Matching records are the
+// output, anything else null. Manifests from before patterns recorded a
+// single `pattern` and matched it against the raw JSON text.
+const scanPredicate = ({ pattern, patterns, regex = false, ignoreCase = false, match = "any", fields = null, invert = false }) => {
+  if (patterns === undefined) return d => JSON.stringify(d).includes(pattern);
+  if (match !== "any" && match !== "all") {
+    throw new Error(`Unknown scan match: ${match} (expected any or all)`);
+  }
+  const tests = patterns.map(p => new RegExp(
+    regex ? p : p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+    ignoreCase ? "i" : ""
+  ));
+  return d => {
+    const values = Analyzer.values(d, fields).map(([, text]) => text);
+    const hit = t => values.some(value => t.test(value));
+    const matched = match === "all" ? tests.every(hit) : tests.some(hit);
+    return matched !== invert ? d : null;
+  };
+};
+
+// Raised when sandboxed code reaches for something README contract F1
+// rules out. Fatal in strict mode, so the run stops at the first one.
+class SandboxViolation extends Error {
+  constructor(message, { fatal = false } = {}) {
+    super(message);
+    this.name = "SandboxViolation";
+    this.fatal = fatal;
+  }
+}
+
+// node:vm context that holds user execution functions to README contract
+// F1. Inside it Math.random is a PRNG seeded per EU from `${seed}:${id}`,
+// and Date and performance.now read a virtual clock that starts at 0 for
+// every EU and advances 1 ms per reading. Timers, fetch and every Node
+// built-in except path and crypto hashing are blocked: calling them
+// throws a SandboxViolation. Writes to globals after the module has
+// loaded are flagged on stderr. In `strict` mode every violation is fatal.
+//
+// Only the context's own objects are handed to user code. Host functions
+// sit behind wrappers created inside the context, records and results
+// cross as JSON and host errors are rethrown as context errors, so no
+// host constructor (and through it the host Function) is in reach.
+// Modules are linked with vm.SourceTextModule, which Node only exposes
+// with --experimental-vm-modules; only relative imports and Node
+// built-ins resolve.
+class Sandbox {
+  // Built-in functions that are exposed. path.resolve and path.relative
+  // are left out: they read the working directory.
+  static MODULES = {
+    path: [
+      "basename", "delimiter", "dirname", "extname", "format", "isAbsolute", "join",
+      "normalize", "parse", "sep"
+    ],
+    crypto: ["createHash", "createHmac", "getHashes", "hash", "timingSafeEqual"]
+  };
+
+  // Exposed functions that return a Hash or Hmac object.
+  static HASHING = new Set(["crypto.createHash", "crypto.createHmac"]);
+
+  static BLOCKED_GLOBALS = [
+    "fetch", "require", "setTimeout", "setInterval", "setImmediate",
+    "clearTimeout", "clearInterval", "clearImmediate"
+  ];
+
+  static async create(options = {}) {
+    if (typeof window !== "undefined") {
+      throw new Error("The sandbox requires Node.js");
+    }
+    const vm = await import("vm");
+    if (typeof vm.SourceTextModule !== "function") {
+      throw new Error("The sandbox requires node --experimental-vm-modules");
+    }
+    const { AsyncLocalStorage } = await import("async_hooks");
+    return new Sandbox(vm, new AsyncLocalStorage(), options);
   }
 
-  static vectorize(text) {
-    const tokens = this.tokenize(text);
-    const map = {};
-    tokens.forEach(t => (map[t] = (map[t] || 0) + 1));
-    return map;
+  constructor(vm, storage, { seed = 0, strict = false } = {}) {
+    this.vm = vm;
+    this.storage = storage;
+    this.seed = seed;
+    this.strict = strict;
+    this.modules = new Map();
+    this.armed = false;
+    this.violations = new WeakSet();
+    // Code running outside any EU (module top level) gets its own stream.
+    this.root = { id: null, random: seededRandom(String(seed)), clock: 0, flagged: new Set() };
+
+    // Hash and Hmac objects stay here; the context holds their handles.
+    const hashes = new Map();
+    let handles = 0;
+    const live = handle => {
+      if (!hashes.has(handle)) throw new Error("Digest already called");
+      return hashes.get(handle);
+    };
+    this.calls = new Map([
+      ["hash.update", (handle, data, encoding) => { live(handle).update(data, encoding); }],
+      ["hash.digest", (handle, encoding) => {
+        const hash = live(handle);
+        hashes.delete(handle);
+        return hash.digest(encoding);
+      }]
+    ]);
+    this.keep = hash => {
+      hashes.set(handles, hash);
+      return handles++;
+    };
+
+    const flagWrite = key => {
+      if (this.armed) this.flag(`write to global ${String(key)}`);
+    };
+    // A null prototype keeps the host Object.prototype, and with it the
+    // host Function, out of the global scope.
+    this.context = vm.createContext(new Proxy(Object.create(null), {
+      set: (target, key, value) => {
+        flagWrite(key);
+        return Reflect.set(target, key, value);
+      },
+      defineProperty: (target, key, descriptor) => {
+        flagWrite(key);
+        return Reflect.defineProperty(target, key, descriptor);
+      }
+    }), { name: "plex-sandbox" });
+
+    const eu = () => this.storage.getStore() ?? this.root;
+    this.bridge = vm.runInContext(`(host) => {
+      "use strict";
+      // Structured stack frames would hand out host functions.
+      Object.defineProperty(Error, "prepareStackTrace", {
+        value: undefined, writable: false, configurable: false
+      });
+      const RealDate = Date;
+      const VirtualDate = function Date(...args) {
+        if (!new.target) return new RealDate(host.now()).toString();
+        return Reflect.construct(RealDate, args.length ? args : [host.now()], new.target);
+      };
+      Object.setPrototypeOf(VirtualDate, RealDate);
+      VirtualDate.prototype = RealDate.prototype;
+      RealDate.prototype.constructor = VirtualDate;
+      VirtualDate.now = () => host.now();
+      globalThis.Date = VirtualDate;
+      Math.random = () => host.random();
+      globalThis.performance = { timeOrigin: 0, now: () => host.now() };
+
+      // Sandbox output goes to stderr, keeping stdout for results.
+      const text = value => {
+        if (typeof value === "string") return value;
+        if (value instanceof Error) return value.stack ?? String(value);
+        try {
+          return JSON.stringify(value) ?? String(value);
+        } catch {
+          return Object.prototype.toString.call(value);
+        }
+      };
+      const print = (...args) => host.write(args.map(text).join(" "));
+      globalThis.console = { log: print, info: print, debug: print, warn: print, error: print };
+
+      const Resolved = Promise;
+      const { then } = Promise.prototype;
+      globalThis.queueMicrotask = callback => {
+        then.call(Resolved.resolve(), () => callback());
+      };
+      const stub = name => function () {
+        host.violation(name + "() is not allowed");
+      };
+      for (const name of host.blocked) globalThis[name] = stub(name);
+
+      const call = name => (...args) => host.call(name, args);
+      const hash = handle => ({
+        update(data, encoding) {
+          host.call("hash.update", [handle, data, encoding]);
+          return this;
+        },
+        digest: encoding => host.call("hash.digest", [handle, encoding])
+      });
+      return {
+        stub,
+        expose: (name, hashing) => hashing ? (...args) => hash(call(name)(...args)) : call(name),
+        object: () => ({}),
+        bytes: data => Uint8Array.from(data),
+        error: (message, name) => {
+          const err = new Error(message);
+          err.name = name;
+          return err;
+        },
+        unit: (id, aborted) => ({
+          id,
+          signal: {
+            get aborted() {
+              return aborted();
+            },
+            throwIfAborted() {
+              if (aborted()) throw new Error("This operation was aborted");
+            }
+          }
+        }),
+        run: (fn, record, unit, done) => {
+          try {
+            then.call(Resolved.resolve(fn(record, unit)), value => done(true, value), err => done(false, err));
+          } catch (err) {
+            done(false, err);
+          }
+        }
+      };
+    }`, this.context)({
+      now: () => eu().clock++,
+      random: () => eu().random(),
+      write: text => { process.stderr.write(`${text}\n`); },
+      violation: message => this.violation(message),
+      call: (name, args) => this.call(name, args),
+      blocked: Sandbox.BLOCKED_GLOBALS
+    });
+    // Records cross into the context as its own objects, so instanceof
+    // Array and friends behave inside.
+    this.parse = vm.runInContext("JSON.parse", this.context);
   }
 
-  static cosine(a, b) {
-    let dot = 0, magA = 0, magB = 0;
-    for (const k in a) {
-      if (b[k]) dot += a[k] * b[k];
-      magA += a[k] * a[k];
+  // Blocked: always throws.
+  violation(message) {
+    const { id } = this.storage.getStore() ?? this.root;
+    const err = this.bridge.error(
+      `Sandbox: ${message}${id === null ? "" : ` (EU ${id})`}`,
+      "SandboxViolation"
+    );
+    this.violations.add(err);
+    throw err;
+  }
+
+  // Flagged: warned once per EU, unless strict.
+  flag(message) {
+    if (this.strict) this.violation(message);
+    const eu = this.storage.getStore() ?? this.root;
+    if (eu.flagged.has(message)) return;
+    eu.flagged.add(message);
+    process.stderr.write(`[plex] sandbox: ${message}${eu.id === null ? "" : ` (EU ${eu.id})`}\n`);
+  }
+
+  // Calls an exposed built-in for code in the context: the result is
+  // copied in and a failure is rethrown as a context error.
+  call(name, args) {
+    let value;
+    try {
+      value = this.calls.get(name)(...args);
+    } catch (err) {
+      throw this.bridge.error(errorMessage(err), err?.name ?? "Error");
     }
-    for (const k in b) magB += b[k] * b[k];
-    return dot / (Math.sqrt(magA) * Math.sqrt(magB) || 1);
+    if (typeof value === "function") return undefined;
+    if (value === null || typeof value !== "object") return value;
+    if (ArrayBuffer.isView(value)) return this.bridge.bytes(value);
+    return this.parse(JSON.stringify(value));
+  }
+
+  // Stands in for a blocked export: functions throw, and objects are
+  // rebuilt around their own and inherited methods. Data is left out.
+  shadow(value, path, depth = 0) {
+    if (typeof value === "function") return this.bridge.stub(path);
+    if (value === null || typeof value !== "object" || depth > 1) return undefined;
+    const copy = this.bridge.object();
+    for (let o = value; o && o !== Object.prototype; o = Object.getPrototypeOf(o)) {
+      for (const [key, descriptor] of Object.entries(Object.getOwnPropertyDescriptors(o))) {
+        if (key === "constructor" || key in copy) continue;
+        const member = this.shadow(descriptor.value, `${path}.${key}`, depth + 1);
+        if (member !== undefined) copy[key] = member;
+      }
+    }
+    return copy;
+  }
+
+  // Links the module at `path` and its imports into the context, runs
+  // it and returns its namespace.
+  async import(path) {
+    const { pathToFileURL } = await import("url");
+    const { resolve } = await import("path");
+    const root = await this.load(pathToFileURL(resolve(path)).href);
+    await root.link((specifier, referrer) => this.resolve(specifier, referrer));
+    await root.evaluate();
+    this.armed = true;
+    return root.namespace;
+  }
+
+  async load(url) {
+    if (!this.modules.has(url)) {
+      const { fileURLToPath } = await import("url");
+      const fs = await import("fs/promises");
+      const source = await fs.readFile(fileURLToPath(url), "utf8");
+      this.modules.set(url, new this.vm.SourceTextModule(source, {
+        identifier: url,
+        context: this.context,
+        initializeImportMeta: meta => { meta.url = url; },
+        importModuleDynamically: () => this.violation("import() is not allowed")
+      }));
+    }
+    return this.modules.get(url);
+  }
+
+  // Relative imports load into the context. Node built-ins are shadowed,
+  // with the functions in MODULES exposed through the bridge.
+  async resolve(specifier, referrer) {
+    if (/^(\.{0,2}\/|file:)/.test(specifier)) {
+      return this.load(new URL(specifier, referrer.identifier).href);
+    }
+    const { isBuiltin } = await import("module");
+    if (!isBuiltin(specifier)) {
+      throw new Error(`Cannot import "${specifier}" in the sandbox (only relative modules and Node built-ins)`);
+    }
+    const name = specifier.replace(/^node:/, "");
+    const real = await import(`node:${name}`);
+    const exposed = Sandbox.MODULES[name] ?? [];
+    const wrap = (value, key) => {
+      const path = `${name}.${key}`;
+      if (!exposed.includes(key)) return this.shadow(value, path, 1);
+      if (typeof value !== "function") return value;
+      this.calls.set(path, Sandbox.HASHING.has(path) ? (...args) => this.keep(value(...args)) : value);
+      return this.bridge.expose(path, Sandbox.HASHING.has(path));
+    };
+    const exports = new Map(Object.keys(real).filter(key => key !== "default")
+      .map(key => [key, wrap(real[key], key)]));
+    const fallback = this.bridge.object();
+    for (const [key, value] of exports) if (value !== undefined) fallback[key] = value;
+    exports.set("default", fallback);
+    return new this.vm.SyntheticModule([...exports.keys()], function () {
+      for (const [key, value] of exports) this.setExport(key, value);
+    }, { identifier: `node:${name}`, context: this.context });
+  }
+
+  // Runs `fn` as EU `id` would: with that EU's PRNG and a fresh clock.
+  // Its result comes back as JSON, and what it throws as a host error.
+  wrap(fn) {
+    return (data, { signal, id }) => new Promise((resolve, reject) => this.storage.run(
+      { id, random: seededRandom(`${this.seed}:${id}`), clock: 0, flagged: new Set() },
+      () => this.bridge.run(
+        fn,
+        data === undefined ? data : this.parse(JSON.stringify(data)),
+        this.bridge.unit(id, () => Boolean(signal?.aborted)),
+        (ok, value) => {
+          try {
+            if (ok) resolve(this.result(value));
+            else reject(this.error(value));
+          } catch (err) {
+            reject(err);
+          }
+        }
+      )
+    ));
+  }
+
+  // A result leaves the context as plain JSON data.
+  result(value) {
+    const json = value === undefined ? undefined : JSON.stringify(value);
+    return json === undefined ? undefined : JSON.parse(json);
+  }
+
+  // Violations keep their type (and fatality); anything else thrown in
+  // the context becomes an Error with its message.
+  error(err) {
+    if (this.violations.has(err)) {
+      return new SandboxViolation(String(err.message), { fatal: this.strict });
+    }
+    return new Error(err !== null && typeof err === "object" ? String(err.message) : String(err));
   }
 }
 
+// Loads a user execution function module (an ES module): its default
+// export, or an `execute` export, is called as fn(record, { signal, id })
+// for every EU, inside a Sandbox when `sandbox` ({ seed, strict }) is
+// set. An optional `metadata` export declares the function's resources
+// (README section 6):
+//   cpu      estimated CPU time per unit, in ms
+//   memory   estimated memory footprint per unit (bytes or "4mb")
+//   retries  extra attempts for a failing unit
+//   timeout  ms allowed per attempt
+// `hash` (sha256 of the module source) pins the exact code a manifest was
+// recorded with: a changed module fails to load instead of replaying
+// differently.
+const loadRunModule = async (module, hash = null, sandbox = null) => {
+  const source = await fetchFile(module);
+  const digest = await sha256(source);
+  if (hash !== null && digest !== hash) {
+    throw new Error(`${module} has changed since the run (sha256 ${digest}, expected ${hash})`);
+  }
+
+  let exports, box = null;
+  if (sandbox) {
+    box = await Sandbox.create(sandbox);
+    exports = await box.import(module);
+  } else if (typeof window !== "undefined") {
+    exports = await import(new URL(module, window.location.href).href);
+  } else {
+    const { pathToFileURL } = await import("url");
+    const { resolve } = await import("path");
+    exports = await import(pathToFileURL(resolve(module)).href);
+  }
+  let fn = typeof exports.default === "function" ? exports.default : exports.execute;
+  if (typeof fn !== "function") {
+    throw new Error(`${module} must export an execution function (default or execute)`);
+  }
+
+  const { cpu = null, memory = null, retries = null, timeout = null } = exports.metadata || {};
+  const invalid = (name, value) =>
+    new Error(`${module}: invalid metadata.${name}: ${JSON.stringify(value)}`);
+  if (cpu !== null && !(typeof cpu === "number" && cpu >= 0)) throw invalid("cpu", cpu);
+  if (retries !== null && !(Number.isInteger(retries) && retries >= 0)) throw invalid("retries", retries);
+  if (timeout !== null && !(typeof timeout === "number" && timeout > 0)) throw invalid("timeout", timeout);
+  let memoryBytes = null;
+  if (memory !== null) {
+    try {
+      memoryBytes = parseBytes(memory);
+    } catch {
+      throw invalid("memory", memory);
+    }
+  }
+
+  if (box) fn = box.wrap(fn);
+  return { fn, hash: digest, metadata: { cpu, memory: memoryBytes, retries, timeout } };
+};
+
+const EXECUTION_FUNCTIONS = {
+  scan: scanPredicate,
+  // Manifests from before analyzers recorded none and vectorized the raw
+  // JSON text; they still replay that way.
+  vectorize: ({ analyzer } = {}) => {
+    if (analyzer === undefined) return d => VectorEngine.vectorize(JSON.stringify(d));
+    const a = new Analyzer(analyzer);
+    return d => VectorEngine.vectorize(Analyzer.values(d).map(([, text]) => text).join("\n"), a);
+  },
+  index: ({ fields, analyzer, idField = "_id" }) => {
+    const a = new Analyzer(analyzer);
+    const path = idField.split(".");
+    return d => ({
+      id: path.reduce((value, key) => value?.[key], d) ?? null,
+      terms: SparseEngine.terms(d, fields, a)
+    });
+  },
+  run: async ({ module, hash, sandbox = null }) => (await loadRunModule(module, hash, sandbox)).fn,
+  aggregate: params => aggregateMapper(params)
+};
+
+// Factories may be async (run imports a module), so this always returns
+// a promise of the function.
+const createExecutionFunction = async ({ name, params = {} }) => {
+  const factory = EXECUTION_FUNCTIONS[name];
+  if (!factory) throw new Error(`Unknown execution function: ${name}`);
+  return factory(params);
+};
+
+// Re-executes a manifest's command over `data` and compares every
+// recomputed pulse against the recorded one, stopping at the first
+// divergence. `range` and `partition` narrow the replay as in run().
+const verifyManifest = async (manifest, data, { range = null, partition = null } = {}) => {
+  if (manifest.version !== 1) {
+    throw new Error(`Unsupported manifest version: ${manifest.version}`);
+  }
+  if (!manifest.command) {
+    throw new Error("Manifest does not record a command to replay");
+  }
+
+  const runtime = new PlexRuntime(manifest.config);
+  const fn = await createExecutionFunction(manifest.command);
+  // Only pulse records are compared, so outputs are not kept (or
+  // spilled) however large the replay.
+  const result = await runtime.run(data, fn, {
+    command: manifest.command,
+    range,
+    partition,
+    retainResults: false
+  });
+  const { pulses, manifest: replayed } = result;
+
+  try {
+    const key = p => `${p.partition ?? 0}:${p.pulse}`;
+    const recorded = new Map(manifest.pulses.map(p => [key(p), p]));
+    const report = {
+      verified: false,
+      command: manifest.command.name,
+      checked: 0,
+      divergence: null
+    };
+
+    for (const actual of pulses) {
+      const expected = recorded.get(key(actual));
+      const field = !expected ? "pulse"
+        : expected.inputDigest !== actual.inputDigest ? "inputDigest"
+        : expected.checksum !== actual.checksum ? "checksum"
+        : null;
+
+      if (field) {
+        report.divergence = {
+          partition: actual.partition,
+          pulse: actual.pulse,
+          field,
+          expected: field === "pulse" ? null : expected[field] ?? null,
+          actual: field === "pulse" ? actual.pulse : actual[field]
+        };
+        return report;
+      }
+      report.checked++;
+    }
+
+    // Only a full replay can vouch for the run as a whole: missing pulses
+    // or a different root hash mean the input was truncated or reordered.
+    if (!range && partition === null) {
+      const replayedKeys = new Set(pulses.map(key));
+      const missing = manifest.pulses.find(p => !replayedKeys.has(key(p)));
+      if (missing) {
+        report.divergence = {
+          partition: missing.partition ?? 0,
+          pulse: missing.pulse,
+          field: "pulse",
+          expected: missing.pulse,
+          actual: null
+        };
+        return report;
+      }
+      if (replayed.rootHash !== manifest.rootHash) {
+        report.divergence = {
+          partition: null,
+          pulse: null,
+          field: "rootHash",
+          expected: manifest.rootHash,
+          actual: replayed.rootHash
+        };
+        return report;
+      }
+    }
+
+    report.verified = report.checked > 0;
+    return report;
+  } finally {
+    await result.dispose();
+  }
+};
+
 //////////////////////
-// PLEX Runtime Core
+// Aggregation
 //////////////////////
 
-class PlexRuntime {
-  constructor({ pulseSize = 32, maxConcurrency = 8 }) {
-    this.pulseSize = pulseSize;
-    this.maxConcurrency = maxConcurrency;
-    this.active = 0;
+// Exact float sum (Shewchuk's partials, as in Python's math.fsum): the
+// value is the correctly rounded sum of everything added, so it is the
+// same whatever order or grouping the additions and merges happen in.
+class ExactSum {
+  constructor() {
+    this.partials = [];
+    this.carry = 0; // multiples of 2^1023 held out of the partials
+    this.special = 0; // running sum of non-finite inputs
   }
 
-  async run(dataset, fn) {
-    const tasks = dataset.map((d, i) => ({ id: i, data: d }));
-    const results = [];
+  add(x) {
+    if (!Number.isFinite(x)) {
+      this.special += x;
+      return this;
+    }
+    this.carry += ExactSum.grow(this.partials, x, true);
+    return this;
+  }
+
+  merge(other) {
+    for (const x of other.partials) this.add(x);
+    this.carry += other.carry;
+    this.special += other.special;
+    return this;
+  }
 
-    for (let i = 0; i < tasks.length; i += this.pulseSize) {
-      const pulse = tasks.slice(i, i + this.pulseSize);
-      await this.executePulse(pulse, fn, results);
+  value() {
+    if (this.special !== 0) return this.special;
+    // The partials sum to less than 2^1024, so past three carried units
+    // the total is out of range. Fewer are folded back in, which only
+    // overflows when the total itself does.
+    const sign = Math.sign(this.carry);
+    if (Math.abs(this.carry) > 3) return sign * Infinity;
+    const p = [...this.partials];
+    for (let k = Math.abs(this.carry); k > 0; k--) {
+      ExactSum.grow(p, sign * 2 ** 1023);
+      if (!Number.isFinite(p[p.length - 1])) return sign * Infinity;
+    }
+    let n = p.length;
+    if (!n) return 0;
+    let hi = p[--n];
+    let lo = 0;
+    while (n > 0) {
+      const x = hi;
+      const y = p[--n];
+      hi = x + y;
+      lo = y - (hi - x);
+      if (lo) break;
     }
+    // Round half to even across the remaining partials.
+    if (n > 0 && ((lo < 0 && p[n - 1] < 0) || (lo > 0 && p[n - 1] > 0))) {
+      const y = lo * 2;
+      const x = hi + y;
+      if (y === x - hi) hi = x;
+    }
+    return hi;
+  }
 
-    return results;
+  // Adds x to the nonoverlapping `partials` in place and returns the
+  // carry. With `spill`, 2^1023 is taken out of the running sum whenever
+  // it reaches that, and counted in the carry, so that no intermediate
+  // sum can overflow (math.fsum raises there instead).
+  static grow(partials, x, spill = false) {
+    let carry = 0;
+    const take = v => {
+      if (!spill || Math.abs(v) < 2 ** 1023) return v;
+      carry += Math.sign(v);
+      return v - Math.sign(v) * 2 ** 1023;
+    };
+    let i = 0;
+    x = take(x);
+    for (let j = 0; j < partials.length; j++) {
+      let y = partials[j];
+      if (Math.abs(x) < Math.abs(y)) [x, y] = [y, x];
+      const hi = x + y;
+      const lo = y - (hi - x);
+      if (lo) partials[i++] = lo;
+      x = take(hi);
+    }
+    partials.length = i;
+    partials.push(x);
+    return carry;
   }
+}
 
-  async executePulse(pulse, fn, results) {
-    const inflight = [];
+// Total order for grouping keys, buckets and min/max: numbers (by value),
+// then strings (by code unit), then anything else by its canonical JSON.
+const compareValues = (a, b) => {
+  const rank = v => typeof v === "number" ? 0 : typeof v === "string" ? 1 : 2;
+  if (rank(a) !== rank(b)) return rank(a) - rank(b);
+  if (typeof a === "number") return a - b;
+  const [x, y] = typeof a === "string" ? [a, b] : [canonicalize(a), canonicalize(b)];
+  return x < y ? -1 : x > y ? 1 : 0;
+};
 
-    for (const task of pulse) {
-      while (this.active >= this.maxConcurrency) {
-        await Promise.race(inflight);
+const extremeReducer = (sign) => ({
+  init: () => null,
+  step: (best, v) => v == null || (best !== null && sign * compareValues(v, best) <= 0) ? best : v,
+  combine: (a, b) => b === null || (a !== null && sign * compareValues(b, a) <= 0) ? a : b,
+  finalize: best => best
+});
+
+// Built-in reducers, keyed by metric name. A reducer folds values with
+// init() -> acc, step(acc, value) -> acc and the associative
+// combine(a, b) -> acc, then finalize(acc) gives the result; step and
+// combine may update their first argument in place. null and undefined
+// values are skipped; sum, mean and bucketed histograms expect numbers.
+const REDUCERS = {
+  count: () => ({
+    init: () => 0,
+    step: (n, v) => v == null ? n : n + 1,
+    combine: (a, b) => a + b,
+    finalize: n => n
+  }),
+  sum: () => ({
+    init: () => new ExactSum(),
+    step: (sum, v) => v == null ? sum : sum.add(v),
+    combine: (a, b) => a.merge(b),
+    finalize: sum => sum.value()
+  }),
+  min: () => extremeReducer(-1),
+  max: () => extremeReducer(1),
+  mean: () => ({
+    init: () => ({ sum: new ExactSum(), count: 0 }),
+    step: (m, v) => {
+      if (v != null) {
+        m.sum.add(v);
+        m.count++;
       }
+      return m;
+    },
+    combine: (a, b) => {
+      a.sum.merge(b.sum);
+      a.count += b.count;
+      return a;
+    },
+    finalize: m => m.count ? m.sum.value() / m.count : null
+  }),
+  // Counts per value, or per bucket of `width` (keyed by its lower bound);
+  // finalized as [{ bucket, count }] in ascending order.
+  histogram: ({ width = null } = {}) => ({
+    init: () => new Map(),
+    step: (buckets, v) => {
+      if (v == null) return buckets;
+      const bucket = width ? Math.floor(v / width) * width : v;
+      const id = canonicalize(bucket);
+      const entry = buckets.get(id);
+      if (entry) entry.count++;
+      else buckets.set(id, { bucket, count: 1 });
+      return buckets;
+    },
+    combine: (a, b) => {
+      for (const [id, { bucket, count }] of b) {
+        const entry = a.get(id);
+        if (entry) entry.count += count;
+        else a.set(id, { bucket, count });
+      }
+      return a;
+    },
+    finalize: buckets => [...buckets.values()].sort((x, y) => compareValues(x.bucket, y.bucket))
+  }),
+  // The distinct values, ascending.
+  distinct: () => ({
+    init: () => new Map(),
+    step: (seen, v) => v == null ? seen : seen.set(canonicalize(v), v),
+    combine: (a, b) => {
+      for (const [id, v] of b) a.set(id, v);
+      return a;
+    },
+    finalize: seen => [...seen.values()].sort(compareValues)
+  })
+};
 
-      this.active++;
+// Folds { key, value } pairs with `inner` per distinct key (compared by
+// canonical JSON); finalized as [{ key, value }] in ascending key order.
+const groupReducer = (inner) => ({
+  init: () => new Map(),
+  step: (groups, { key, value }) => {
+    const id = canonicalize(key);
+    let group = groups.get(id);
+    if (!group) groups.set(id, group = { key, acc: inner.init() });
+    group.acc = inner.step(group.acc, value);
+    return groups;
+  },
+  combine: (a, b) => {
+    for (const [id, group] of b) {
+      const own = a.get(id);
+      if (own) own.acc = inner.combine(own.acc, group.acc);
+      else a.set(id, group);
+    }
+    return a;
+  },
+  finalize: groups => [...groups.values()]
+    .sort((x, y) => {
+      for (let i = 0; i < Math.min(x.key.length, y.key.length); i++) {
+        const order = compareValues(x.key[i], y.key[i]);
+        if (order) return order;
+      }
+      return x.key.length - y.key.length;
+    })
+    .map(({ key, acc }) => ({ key, value: inner.finalize(acc) }))
+});
 
-      const exec = (async () => {
-        try {
-          results.push({
-            id: task.id,
-            result: await fn(task.data)
-          });
-        } finally {
-          this.active--;
-        }
-      })();
+// Folds arrays of values, the i-th with reducers[i].
+const tupleReducer = (reducers) => ({
+  init: () => reducers.map(r => r.init()),
+  step: (accs, values) => accs.map((acc, i) => reducers[i].step(acc, values[i])),
+  combine: (a, b) => a.map((acc, i) => reducers[i].combine(acc, b[i])),
+  finalize: accs => accs.map((acc, i) => reducers[i].finalize(acc))
+});
 
-      inflight.push(exec);
-    }
+// "count", "sum:POP", "histogram:POP:1000" -> { name, field, width }.
+const parseMetric = (text) => {
+  const [name, field = null, width = null] = String(text).split(":");
+  if (!REDUCERS[name]) {
+    throw new Error(`Unknown metric: ${name} (expected ${Object.keys(REDUCERS).join(", ")})`);
+  }
+  if (name !== "count" && !field) throw new Error(`Metric ${name} needs a field, e.g. ${name}:POP`);
+  if (width !== null && (name !== "histogram" || !(Number(width) > 0))) {
+    throw new Error(`Invalid metric: ${text} (only histogram takes a positive bucket width)`);
+  }
+  return { name, field, width: width === null ? null : Number(width) };
+};
 
-    await Promise.all(inflight);
+const metricLabel = ({ name, field, width }) =>
+  field === null ? name : `${name}(${field}${width === null ? "" : `,${width}`})`;
+
+// Map stage of `aggregate`: each record becomes { key, values }, the
+// group-by field values and one value per metric. Values the numeric
+// metrics cannot use fail the EU here, not the reduce.
+const aggregateMapper = ({ groupBy = [], metrics }) => {
+  const lookup = (record, path) => path.split(".").reduce((value, key) => value?.[key], record);
+  const numeric = ({ name, width }) => name === "sum" || name === "mean" || width !== null;
+  return d => ({
+    key: groupBy.map(field => lookup(d, field) ?? null),
+    values: metrics.map(metric => {
+      if (metric.field === null) return 1;
+      const value = lookup(d, metric.field) ?? null;
+      if (!numeric(metric)) return value;
+      if (value === null || value === "") return null;
+      const n = typeof value === "string" ? Number(value.trim()) : value;
+      if (typeof n !== "number" || Number.isNaN(n)) {
+        throw new Error(`${metricLabel(metric)}: not a number: ${JSON.stringify(value)}`);
+      }
+      return n;
+    })
+  });
+};
+
+// Reducer for aggregateMapper's output: one row of metric values per
+// group, or a single row without groupBy.
+const aggregateReducer = ({ groupBy = [], metrics }) => {
+  const row = tupleReducer(metrics.map(({ name, width }) => REDUCERS[name]({ width })));
+  if (!groupBy.length) {
+    return { ...row, step: (accs, { values }) => row.step(accs, values) };
   }
-}
+  const groups = groupReducer(row);
+  return { ...groups, step: (acc, { key, values }) => groups.step(acc, { key, value: values }) };
+};
 
 //////////////////////
 // CLI Helpers
@@ -118,25 +3773,380 @@ const getFlag = (args, name) => {
   return i !== -1 ? args[i + 1] : null;
 };
 
+// Every value of a repeatable flag, in order.
+const getFlags = (args, name) =>
+  args.flatMap((arg, i) => arg === name && i + 1 < args.length ? [args[i + 1]] : []);
+
+// "512", "64k", "256mb", "2G" -> bytes.
+const parseBytes = (text) => {
+  const m = /^(\d+(?:\.\d+)?)\s*([kmg]?)b?$/i.exec(String(text).trim());
+  if (!m) throw new Error(`Invalid byte size: ${text}`);
+  const scale = { "": 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  return Math.floor(Number(m[1]) * scale[m[2].toLowerCase()]);
+};
+
+// plex.config.json, then `defaults` (e.g. a run module's declared retry
+// policy), overridden by command-line flags.
+const runtimeConfig = async (args, defaults = {}) => {
+  const config = { ...await readConfig(), ...defaults };
+  const retries = getFlag(args, "--retries");
+  if (retries !== null) config.retries = Number(retries);
+  if (args.includes("--collect-failures")) config.failureMode = "collect";
+  const partitions = getFlag(args, "--partitions");
+  if (partitions !== null) config.partitions = Number(partitions);
+  const backend = getFlag(args, "--backend");
+  if (backend !== null) config.backend = backend;
+  const threads = getFlag(args, "--threads");
+  if (threads !== null) config.threads = Number(threads);
+  const budget = getFlag(args, "--memory-budget");
+  if (budget !== null) config.memoryBudget = parseBytes(budget);
+  const spillDir = getFlag(args, "--spill-dir");
+  if (spillDir !== null) config.spillDir = spillDir;
+  const pulsesInFlight = getFlag(args, "--max-pulses-in-flight");
+  if (pulsesInFlight !== null) config.maxPulsesInFlight = Number(pulsesInFlight);
+  const timeout = getFlag(args, "--timeout");
+  if (timeout !== null) config.timeout = Number(timeout);
+  return config;
+};
+
+// Dataset loader options: the "input" section of plex.config.json,
+// overridden by --input-format, --delimiter, --types (e.g.
+// ZIP:string,POP:number) and --infer.
+// Loader options for `file`: the "input" section of plex.config.json (or
+// `defaults`, e.g. the options a manifest recorded) overridden by flags,
+// with the format resolved so that a manifest records exactly how its
+// records were read.
+const inputOptions = async (args, file, defaults = null) => {
+  const options = { ...(defaults ?? (await readConfig()).input) };
+  const format = getFlag(args, "--input-format");
+  if (format !== null) options.format = format;
+  if (options.format && !DATASET_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown input format: ${options.format} (expected ${DATASET_FORMATS.join(", ")})`);
+  }
+  const delimiter = getFlag(args, "--delimiter");
+  if (delimiter !== null) options.delimiter = delimiter === "\\t" ? "\t" : delimiter;
+  const types = getFlag(args, "--types");
+  if (types !== null) {
+    options.types = { ...options.types };
+    for (const entry of types.split(",")) {
+      const at = entry.lastIndexOf(":");
+      if (at < 1) throw new Error(`Invalid --types entry: ${entry} (expected column:type)`);
+      options.types[entry.slice(0, at)] = entry.slice(at + 1);
+    }
+  }
+  if (args.includes("--infer")) options.infer = true;
+  if (!options.format) options.format = await detectFormat(file);
+  return options;
+};
+
+const readInput = async (args, file) => readDataset(file, await inputOptions(args, file));
+
+// Writes records to `out` in `format`, or to stdout when there is no
+// --out. A closed stdout (e.g. piped into head) is not an error.
+const writeOutput = async (out, items, options) => {
+  if (out) return writeDataset(out, items, options);
+  const { once } = await import("events");
+  try {
+    for await (const text of formatDataset(items, options)) {
+      if (!process.stdout.write(text)) await once(process.stdout, "drain");
+    }
+  } catch (err) {
+    if (err.code !== "EPIPE") throw err;
+  }
+};
+
+// --format, else the --out file's extension, else NDJSON.
+const outputFormat = (args) => {
+  const out = getFlag(args, "--out");
+  const format = getFlag(args, "--format") || (out && formatOf(out)) || "ndjson";
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new Error(`Unknown output format: ${format} (expected ${DATASET_FORMATS.join(", ")})`);
+  }
+  return format;
+};
+
+// --manifest, else next to the output as <out>.manifest.json, else (for
+// output on stdout) <command>.manifest.json in the working directory.
+const manifestPath = (args, out, command) =>
+  getFlag(args, "--manifest") || `${out ?? command}.manifest.json`;
+
+// Redraws a one-line progress summary on stderr after every pulse; only
+// when stderr is a terminal, so piped output stays clean.
+const attachProgress = (runtime) => {
+  if (!process.stderr.isTTY) return;
+  let pulses = 0, units = 0, failed = 0, spilled = 0;
+  const draw = () => process.stderr.write(
+    `\r[plex] ${pulses} pulses, ${units} units, ${failed} failed` +
+    (spilled ? `, ${spilled} spills` : "")
+  );
+
+  runtime.on("pulse:end", e => {
+    pulses++;
+    units += e.units;
+    failed += e.failed;
+    draw();
+  });
+  runtime.on("backpressure", e => {
+    spilled = e.spilled;
+    draw();
+  });
+  runtime.on("run:end", () => process.stderr.write("\n"));
+};
+
+// Writes every runtime event to `path` as one JSON line. Timings are left
+// out so that two runs over the same input produce identical logs.
+// Returns a function that flushes and closes the file.
+const attachLog = async (runtime, path) => {
+  const fs = await import("fs");
+  const stream = fs.createWriteStream(path);
+  let closed = null;
+
+  runtime.on("*", ({ durationMs, ...event }) => {
+    stream.write(JSON.stringify(event) + "\n");
+  });
+  return () => (closed ??= new Promise(resolve => stream.end(resolve)));
+};
+
+// Runs a command over the records of `file` through PlexRuntime and writes
+// its manifest, which also records the loader options as `input`. A
+// fail-fast abort still writes the manifest of the pulses that completed.
+// `options.resources` are a run module's declared resources: its retries
+// and timeout are defaults, and its per-unit memory lowers maxConcurrency
+// so that the units of a pulse fit in memoryBudget. With
+// `options.reducer` the run is an aggregate(). `options.fn` is the
+// command's execution function when the caller already has it (a loaded
+// run module), so it is not built a second time. Other `options` are
+// passed on to run(), e.g. onPulse for streaming output.
+const runCommand = async (args, file, command, manifestFile, {
+  resources = {}, reducer = null, fn: loaded = null, ...options
+} = {}) => {
+  const input = await inputOptions(args, file);
+  const data = readDataset(file, input);
+  const defaults = {};
+  if (resources.retries != null) defaults.retries = resources.retries;
+  if (resources.timeout != null) defaults.timeout = resources.timeout;
+  const config = await runtimeConfig(args, defaults);
+  if (resources.memory && config.memoryBudget) {
+    config.maxConcurrency = Math.max(1, Math.min(
+      config.maxConcurrency ?? 8,
+      Math.floor(config.memoryBudget / resources.memory)
+    ));
+  }
+  const runtime = new PlexRuntime(config);
+  const logFile = getFlag(args, "--log");
+  const closeLog = logFile ? await attachLog(runtime, logFile) : null;
+  attachProgress(runtime);
+
+  // Ctrl-C cancels cleanly: committed pulses stay journaled for --resume.
+  const controller = new AbortController();
+  const interrupt = () => controller.abort(new Error("Interrupted"));
+  process.once("SIGINT", interrupt);
+
+  try {
+    const fn = loaded ?? await createExecutionFunction(command);
+    const runOptions = {
+      command,
+      checkpoint: getFlag(args, "--checkpoint"),
+      resume: args.includes("--resume"),
+      signal: controller.signal,
+      ...options
+    };
+    const result = reducer
+      ? await runtime.aggregate(data, fn, reducer, runOptions)
+      : await runtime.run(data, fn, runOptions);
+    await writeJSON(manifestFile, { ...result.manifest, input });
+    if (result.summary.failed) {
+      console.error(
+        `${result.summary.failed} of ${result.summary.units} units failed`
+      );
+    }
+    return result;
+  } catch (err) {
+    if (!(err instanceof ExecutionError)) throw err;
+    await writeJSON(manifestFile, { ...err.result.manifest, input });
+    await closeLog?.();
+    console.error(err.message);
+    process.exit(err instanceof CancelledError ? 130 : 1);
+  } finally {
+    process.off("SIGINT", interrupt);
+    await closeLog?.();
+  }
+};
+
 const showHelp = () => {
   console.log(`
 PLEX Runtime v0.1.1
 
 Usage:
   plex-runtime init
-  plex-runtime scan <file> --pattern <text>
-  plex-runtime vectorize <file>
-  plex-runtime search <vectors.json> --query <text>
+  plex-runtime scan <file> --pattern <text> [--pattern <text> ...]
+                    [--regex] [-i] [--match any|all] [--field <a.b> ...]
+                    [--invert] [--count] [--format ndjson|csv|tsv|json]
+                    [--out <file>] [run options]
+  plex-runtime run <file> --fn <module.mjs> [--out <file>]
+                   [--format ndjson|csv|tsv|json] [--seed <n>]
+                   [--strict | --no-sandbox] [run options]
+  plex-runtime aggregate <file> --metric <name[:field]> [--metric ...]
+                         [--group-by <a,b,...>] [--out <file>]
+                         [--format ndjson|csv|tsv|json] [run options]
+  plex-runtime vectorize <file> [--out <vectors.json|.plexvec>]
+                         [--quantize float32|float16|int8] [run options]
+  plex-runtime index <file> [--fields <a,b,...>] [--k1 <n>] [--b <n>]
+                     [--id-field <path>] [--out <index dir>] [run options]
+  plex-runtime index add <index dir> <file> [run options]
+  plex-runtime index delete <index dir> <file>
+  plex-runtime index compact <index dir>
+  plex-runtime search <vectors> --query <text> [--mode cosine]
+                      [--top-k <n>] [--min-score <n>] [--explain]
+  plex-runtime search <index dir> --query <text> --mode bm25
+                      [--fuzzy] [--max-edits <n>]
+                      [--top-k <n>] [--min-score <n>] [--explain]
+  plex-runtime verify <manifest> <file> [--partition <k>]
+                      [--from <pulse>] [--to <pulse>]
   plex-runtime help
 
+Input files are JSON arrays, NDJSON (.ndjson, .jsonl), CSV or
+TSV (RFC 4180: quoted fields, "" escapes, CRLF or LF), read as
+a stream one pulse at a time. The format comes from the file
+extension, otherwise from the first bytes. Every command that
+reads a <file> takes the input options below.
+
+Input options (also the "input" section of plex.config.json):
+  --input-format <name> json, ndjson, csv or tsv
+  --delimiter <char>    CSV field delimiter (default "," or tab)
+  --types <col:type,..> Column types: string (default), number,
+                        boolean or json
+  --infer               Type CSV numbers and true/false, keeping
+                        values with leading zeros (ZIPs) as strings
+
+Run options:
+  --manifest <file>     Where to write the replay manifest (default:
+                        <out>.manifest.json)
+  --retries <n>         Retry failed units n times (default 0)
+  --collect-failures    Record failed units instead of aborting
+  --partitions <n>      Split units into n hash partitions
+  --backend <name>      inline (default) or cpu (worker thread pool)
+  --threads <n>         cpu backend pool size (default maxConcurrency)
+  --memory-budget <n>   Spill outputs to disk beyond n bytes (e.g. 256mb)
+  --spill-dir <dir>     Where spilled outputs go (default: system temp)
+  --log <file.jsonl>    Write a deterministic execution log (one event
+                        per line, timings omitted)
+  --max-pulses-in-flight <n>
+                        Execute up to n pulses at once (committed in order)
+  --timeout <ms>        Fail any unit attempt that runs longer than ms.
+                        Only the cpu backend can stop a unit stuck in
+                        synchronous code (e.g. a busy loop); inline,
+                        the timeout fires once the unit yields
+  --checkpoint <dir>    Journal each completed pulse to <dir>
+  --resume              Skip pulses already journaled in --checkpoint
+
 Description:
   Deterministic pulse-based execution runtime with
   lightweight vector search capabilities.
 
+  scan, run, aggregate and vectorize write a replay manifest
+  (per-pulse checksums, input digest, root hash) next to their
+  output, or to <command>.manifest.json when the output goes to
+  stdout; index writes one per segment, inside the index.
+  verify replays a manifest against the original input and
+  reports the first pulse that diverges (exit code 2); pulse
+  ranges are per partition.
+
+  scan matches record values (never JSON keys) against each
+  --pattern, literally or as a --regex, optionally ignoring case
+  (-i) and only under the given --field dotted paths. A record
+  matches when any pattern does, or every one with --match all;
+  --invert selects the records that do not match. Matching
+  records are written in input order to --out (format from
+  --format or the file extension) or to stdout as NDJSON;
+  --count prints only how many matched.
+
+  run executes a user ES module's execution function over every
+  record under the pulse runtime. The module exports the
+  function (default export, or execute) called as
+  fn(record, { signal, id }), and optionally its resource
+  metadata:
+    export const metadata = {
+      cpu: 2,          // estimated CPU ms per unit
+      memory: "4mb",   // estimated memory per unit
+      retries: 1,      // extra attempts for a failing unit
+      timeout: 1000    // ms per attempt
+    };
+  retries and timeout are defaults (flags still win); memory
+  lowers maxConcurrency to fit --memory-budget. Each EU's
+  { id, partition, pulse, status, result, error } is written
+  to --out or stdout. The manifest pins the module by sha256,
+  so verify refuses to replay a module that has changed.
+
+  The module runs in a node:vm sandbox (README contract F1):
+  Math.random is seeded per EU from --seed (default 0) and the
+  EU id, Date and performance.now read a virtual clock starting
+  at 0, and timers, fetch and Node built-ins other than path
+  and crypto hashing (createHash, createHmac) throw. Writes to
+  globals are flagged on stderr. --strict fails the run at the
+  first violation; --no-sandbox runs the module as plain Node
+  code.
+
+  aggregate maps every record to its --group-by values and
+  metric inputs, then reduces them: count (records, or non-null
+  values with count:field), sum:field, mean:field, min:field,
+  max:field, distinct:field and histogram:field (counts per
+  value; histogram:field:width counts numeric buckets). Each
+  pulse is folded in EU order and the pulse results merged in
+  a fixed tree order; sums are exact (correctly rounded), so
+  the output never depends on concurrency. One row per group
+  goes to --out or stdout.
+
+  search --mode bm25 takes a query: terms (any one may match),
+  "quoted phrases", AND, OR, NOT or -term, (groups), field:value,
+  prefixes such as 021* and inclusive ranges such as
+  zip:[02100 TO 02199]. --fuzzy also matches terms within a
+  few edits (one for 3-5 characters, two beyond; --max-edits
+  overrides), scored lower and always ranked below exact hits.
+
+  vectorize writes a JSON array of vectors (default
+  vectors.json), or a binary vector store when --out ends in
+  .plexvec (term dictionary, typed id/value arrays, precomputed
+  norms, optionally float16 or int8 values with --quantize).
+  search --mode cosine reads either format.
+
+  search prints { query, mode, found, total, results } with the
+  --top-k (default 10) best hits scoring above zero and at least
+  --min-score; total counts every such hit. When nothing
+  matches, found is false and the exit code is 2. --explain
+  adds each hit's score breakdown: per matched term tf, df, idf
+  and contribution, plus the length normalization (BM25) or
+  vector norms (cosine, where idf is always 1).
+
+  index builds a BM25 index directory of segments keyed by
+  --id-field (default _id; a record without it is an error).
+  index add appends a segment (replacing documents whose id is
+  already indexed), index delete tombstones the ids listed in
+  <file> (records, or bare ids), and index compact merges all
+  segments. Each segment's replay manifest is written into the
+  index directory as segment-NNNNNN.manifest.json.
+
+  vectorize and index analyze record values (never JSON keys)
+  with the "analyzer" section of plex.config.json, e.g.
+    { "normalize": "NFKC", "lowercase": true, "split": "unicode",
+      "stopwords": "english", "stem": "english-minimal",
+      "ngrams": { "min": 3, "max": 4 } }
+  (these are the defaults, except that stopwords, stem and ngrams
+  are off by default). An index keeps its analyzer settings and
+  applies them to queries and to index add.
+
 Examples:
   plex-runtime init
-  plex-runtime vectorize data.json
-  plex-runtime search vectors.json --query "hello"
+  plex-runtime scan data.json --pattern "^021" --regex --field zip --out hits.csv
+  plex-runtime run data.json --fn ./check.mjs --out checks.ndjson
+  plex-runtime aggregate zips.csv --group-by STATE --metric count
+  plex-runtime vectorize data.json --out vectors.plexvec --quantize int8
+  plex-runtime search vectors.plexvec --query "hello"
+  plex-runtime index data.json --fields city,state,zip
+  plex-runtime index ZIP-COUNTY-FIPS_2017-06.csv --fields ZIP,COUNTYNAME,STATE --id-field ZIP
+  plex-runtime index add index changes.json
+  plex-runtime search index --query "boston" --mode bm25
+  plex-runtime verify vectors.json.manifest.json data.json --from 10 --to 20
 `);
 };
 
@@ -144,6 +4154,36 @@ Examples:
 // CLI Commands
 //////////////////////
 
+// Sandboxed run modules need vm.SourceTextModule, which Node only exposes
+// behind --experimental-vm-modules. True when this process lacks it and
+// has not already been relaunched with the flag.
+const needsVmModules = async () =>
+  typeof (await import("vm")).SourceTextModule !== "function" &&
+  !process.execArgv.includes("--experimental-vm-modules");
+
+// Re-runs this command in a child Node with --experimental-vm-modules and
+// exits with the child's code. Node 20.11+ (and 21.3+) can silence the
+// flag's ExperimentalWarning; older versions reject that option. Ctrl-C
+// reaches the child directly, which cancels cleanly, so the parent
+// ignores it.
+const relaunch = async () => {
+  const { spawn } = await import("child_process");
+  const [major, minor] = process.versions.node.split(".").map(Number);
+  const quiet = major > 21 || (major === 21 && minor >= 3) || (major === 20 && minor >= 11);
+  const child = spawn(process.execPath, [
+    "--experimental-vm-modules",
+    ...(quiet ? ["--disable-warning=ExperimentalWarning"] : []),
+    ...process.execArgv,
+    ...process.argv.slice(1)
+  ], { stdio: "inherit" });
+  process.on("SIGINT", () => {});
+  const code = await new Promise((resolve, reject) => {
+    child.on("error", reject);
+    child.on("exit", (status, signal) => resolve(status ?? (signal ? 1 : 0)));
+  });
+  process.exit(code);
+};
+
 async function main() {
   const [, , cmd, ...args] = process.argv;
 
@@ -163,19 +4203,143 @@ async function main() {
 
   if (cmd === "scan") {
     const file = args[0];
-    const pattern = getFlag(args, "--pattern");
+    const patterns = getFlags(args, "--pattern");
 
-    if (!file || !pattern) {
+    if (!file || !patterns.length) {
       console.error("scan requires <file> --pattern <text>");
       process.exit(1);
     }
 
-    const data = await readJSON(file);
-    const runtime = new PlexRuntime({});
-    const res = await runtime.run(data, d =>
-      JSON.stringify(d).includes(pattern)
+    const out = getFlag(args, "--out");
+    const format = outputFormat(args);
+    const fields = getFlags(args, "--field");
+    const params = {
+      patterns,
+      regex: args.includes("--regex"),
+      ignoreCase: args.includes("-i") || args.includes("--ignore-case"),
+      match: getFlag(args, "--match") || "any",
+      fields: fields.length ? fields : null,
+      invert: args.includes("--invert")
+    };
+    const counting = args.includes("--count");
+    const manifestFile = manifestPath(args, out, "scan");
+
+    // Only matches are kept (none with --count), so memory tracks the
+    // hits, not the input.
+    const matches = [];
+    let count = 0;
+    await runCommand(
+      args,
+      file,
+      { name: "scan", params },
+      manifestFile,
+      {
+        retainResults: false,
+        onPulse: units => {
+          for (const unit of units) {
+            if (unit.result === null || unit.status !== "completed") continue;
+            count++;
+            if (!counting) matches.push(unit);
+          }
+        }
+      }
+    );
+    if (counting) {
+      console.log(count);
+      return;
+    }
+
+    const records = matches.sort((a, b) => a.id - b.id).map(unit => unit.result);
+    // CSV columns cover every matched record's keys, in first-seen order.
+    const columns = [...new Set(records.flatMap(r => r !== null && typeof r === "object" ? Object.keys(r) : []))];
+    await writeOutput(out, records, { format, columns });
+    if (out) console.log(`${count} matches written to ${out} (manifest: ${manifestFile})`);
+    return;
+  }
+
+  if (cmd === "run") {
+    const file = args[0];
+    const module = getFlag(args, "--fn");
+    if (!file || !module) {
+      console.error("run requires <file> --fn <module.mjs>");
+      process.exit(1);
+    }
+    if (!args.includes("--no-sandbox") && await needsVmModules()) return relaunch();
+
+    const out = getFlag(args, "--out");
+    const format = outputFormat(args);
+    const manifestFile = manifestPath(args, out, "run");
+    const seed = getFlag(args, "--seed");
+    const sandbox = args.includes("--no-sandbox") ? null : {
+      seed: seed !== null ? Number(seed) : 0,
+      strict: args.includes("--strict")
+    };
+    if (sandbox && !Number.isInteger(sandbox.seed)) {
+      console.error("--seed must be an integer");
+      process.exit(1);
+    }
+    const { fn, hash, metadata } = await loadRunModule(module, null, sandbox);
+    const result = await runCommand(
+      args,
+      file,
+      { name: "run", params: { module, hash, sandbox } },
+      manifestFile,
+      { resources: metadata, fn }
+    );
+
+    // One line per EU: its id, where it ran, and its result or error.
+    const columns = ["id", "partition", "pulse", "status", "result", "error"];
+    const units = async function* () {
+      for await (const { id, partition, pulse, status, result: output, error } of result.units()) {
+        yield { id, partition, pulse, status, result: output, error };
+      }
+    };
+    try {
+      await writeOutput(out, units(), { format, columns });
+      if (out) {
+        const { units: n, completed, failed } = result.summary;
+        console.log(`${n} units (${completed} completed, ${failed} failed) written to ${out} (manifest: ${manifestFile})` +
+          (metadata.cpu !== null ? `; declared CPU cost ~${Math.round(metadata.cpu * n)} ms` : ""));
+      }
+    } finally {
+      await result.dispose();
+    }
+    return;
+  }
+
+  if (cmd === "aggregate") {
+    const file = args[0];
+    const metricFlags = getFlags(args, "--metric");
+    if (!file || !metricFlags.length) {
+      console.error("aggregate requires <file> --metric <name[:field]>");
+      process.exit(1);
+    }
+
+    const groupFlag = getFlag(args, "--group-by");
+    const params = {
+      groupBy: groupFlag ? groupFlag.split(",") : [],
+      metrics: metricFlags.map(parseMetric)
+    };
+    const out = getFlag(args, "--out");
+    const format = outputFormat(args);
+    const manifestFile = manifestPath(args, out, "aggregate");
+    const { value } = await runCommand(
+      args,
+      file,
+      { name: "aggregate", params },
+      manifestFile,
+      { reducer: aggregateReducer(params) }
     );
-    console.log(res.filter(r => r.result));
+
+    // One row per group: the group-by fields, then a column per metric.
+    const labels = params.metrics.map(metricLabel);
+    const groups = params.groupBy.length ? value : [{ key: [], value }];
+    const rows = groups.map(({ key, value: values }) => Object.fromEntries([
+      ...params.groupBy.map((field, i) => [field, key[i]]),
+      ...labels.map((label, i) => [label, values[i]])
+    ]));
+    await writeOutput(out, rows, { format, columns: [...params.groupBy, ...labels] });
+    if (out) console.log(`${rows.length} rows written to ${out} (manifest: ${manifestFile})`);
     return;
   }
 
@@ -186,12 +4350,141 @@ async function main() {
       process.exit(1);
     }
 
-    const data = await readJSON(file);
-    const vectors = data.map(d =>
-      VectorEngine.vectorize(JSON.stringify(d))
+    const out = getFlag(args, "--out") || "vectors.json";
+    const manifestFile = manifestPath(args, out, "vectorize");
+    const binary = /\.plexvec$/i.test(out);
+    const quantization = getFlag(args, "--quantize") || "float32";
+    if (!VectorFile.QUANTIZATIONS[quantization]) {
+      console.error(`Unknown quantization: ${quantization} (expected float32, float16 or int8)`);
+      process.exit(1);
+    }
+    if (!binary && getFlag(args, "--quantize")) {
+      console.error("--quantize needs a binary vector store (--out <file>.plexvec)");
+      process.exit(1);
+    }
+    const analyzer = new Analyzer((await readConfig()).analyzer);
+    const result = await runCommand(
+      args,
+      file,
+      { name: "vectorize", params: { analyzer: analyzer.settings } },
+      manifestFile
+    );
+    const vectors = async function* () {
+      for await (const unit of result.units()) yield unit.result;
+    };
+    try {
+      if (binary) {
+        await VectorFile.write(out, vectors, { quantization, analyzer: analyzer.settings });
+      } else {
+        await writeJSONArray(out, vectors());
+      }
+    } finally {
+      await result.dispose();
+    }
+    console.log(`Vectors written to ${out} (manifest: ${manifestFile})`);
+    return;
+  }
+
+  if (cmd === "index") {
+    const sub = ["add", "delete", "compact"].includes(args[0]) ? args.shift() : null;
+
+    const missingId = (file, n, idField) => new Error(
+      `${file}: record ${n} has no ${idField} (choose the id with --id-field <path>)`
     );
-    await writeJSON("vectors.json", vectors);
-    console.log("Vectors written to vectors.json");
+
+    // Runs the index execution function over `file` and returns its
+    // documents in EU order, with the path of the manifest written for
+    // them: by default the next segment's, inside the index at `dir`.
+    const analyze = async (file, dir, { fields, analyzer, idField }) => {
+      const manifest = getFlag(args, "--manifest") || await SparseIndex.nextManifestFile(dir);
+      const fs = await import("fs/promises");
+      await fs.mkdir(dir, { recursive: true });
+      const result = await runCommand(
+        args,
+        file,
+        { name: "index", params: { fields, analyzer: analyzer.settings, idField } },
+        manifest
+      );
+      const docs = [];
+      try {
+        for await (const unit of result.units()) {
+          if (unit.status !== "completed") continue;
+          if (unit.result.id === null) throw missingId(file, unit.id, idField);
+          docs.push({ id: unit.result.id, terms: unit.result.terms });
+        }
+      } finally {
+        await result.dispose();
+      }
+      return { docs, manifest };
+    };
+
+    if (sub === "add" || sub === "delete") {
+      const [dir, file] = args;
+      if (!dir || !file) {
+        console.error(`index ${sub} requires <index dir> <file>`);
+        process.exit(1);
+      }
+      const index = await SparseIndex.open(dir);
+      const { idField } = index;
+      if (sub === "add") {
+        const { docs, manifest } = await analyze(file, dir, {
+          fields: index.manifest.fields, analyzer: index.analyzer, idField
+        });
+        const { added, replaced } = await index.add(docs, { manifest });
+        console.log(`Added ${added} and replaced ${replaced} documents in ${dir} (${index.docCount} live)`);
+      } else {
+        const ids = [];
+        const path = idField.split(".");
+        for await (const item of await readInput(args, file)) {
+          const id = item !== null && typeof item === "object"
+            ? path.reduce((value, key) => value?.[key], item)
+            : item;
+          if (id === null || id === undefined) throw missingId(file, ids.length, idField);
+          ids.push(id);
+        }
+        const { deleted } = await index.delete(ids);
+        console.log(`Deleted ${deleted} documents from ${dir} (${index.docCount} live)`);
+      }
+      return;
+    }
+
+    if (sub === "compact") {
+      const dir = args[0];
+      if (!dir) {
+        console.error("index compact requires <index dir>");
+        process.exit(1);
+      }
+      const index = await SparseIndex.open(dir);
+      const { docs, segments } = await index.compact();
+      console.log(`Compacted ${segments} segments into one (${docs} documents)`);
+      return;
+    }
+
+    const file = args[0];
+    if (!file) {
+      console.error("index requires <file>");
+      process.exit(1);
+    }
+
+    const config = await readConfig();
+    const settings = config.index || {};
+    const fieldList = getFlag(args, "--fields");
+    const k1 = getFlag(args, "--k1");
+    const b = getFlag(args, "--b");
+    const out = getFlag(args, "--out") || "index";
+    const options = {
+      fields: (fieldList ? fieldList.split(",") : settings.fields) || SparseEngine.DEFAULT_FIELDS,
+      k1: k1 !== null ? Number(k1) : settings.k1,
+      b: b !== null ? Number(b) : settings.b,
+      analyzer: new Analyzer(config.analyzer),
+      idField: getFlag(args, "--id-field") || settings.idField || "_id"
+    };
+
+    const { docs, manifest } = await analyze(file, out, options);
+    const index = await SparseIndex.create(out, options);
+    const { replaced } = await index.add(docs, { manifest });
+    console.log(`Index of ${index.docCount} documents written to ${out}` +
+      (replaced ? ` (${replaced} records with a repeated ${options.idField} superseded)` : ""));
     return;
   }
 
@@ -200,20 +4493,124 @@ async function main() {
     const query = getFlag(args, "--query");
 
     if (!file || !query) {
-      console.error("search requires <vectors.json> --query <text>");
+      console.error("search requires <vectors|index dir> --query <text>");
       process.exit(1);
     }
 
-    const vectors = await readJSON(file);
-    const qv = VectorEngine.vectorize(query);
-    const ranked = vectors
-      .map((v, i) => ({
-        id: i,
-        score: VectorEngine.cosine(v, qv)
-      }))
-      .sort((a, b) => b.score - a.score);
+    const mode = getFlag(args, "--mode") || "cosine";
+    const topK = getFlag(args, "--top-k");
+    const minScoreFlag = getFlag(args, "--min-score");
+    const k = topK !== null ? Number(topK) : 10;
+    const minScore = minScoreFlag !== null ? Number(minScoreFlag) : 0;
+    if (!Number.isInteger(k) || k < 1 || Number.isNaN(minScore)) {
+      console.error("--top-k must be a positive integer and --min-score a number");
+      process.exit(1);
+    }
+    const explain = args.includes("--explain");
+    const output = { query, mode };
+
+    if (mode === "bm25") {
+      const index = await SparseIndex.open(file);
+      const k1 = getFlag(args, "--k1");
+      const b = getFlag(args, "--b");
+      const maxEdits = getFlag(args, "--max-edits");
+      try {
+        const fuzzy = args.includes("--fuzzy") || maxEdits !== null;
+        const { total, results, expansions } = await index.search(query, {
+          k1: k1 !== null ? Number(k1) : undefined,
+          b: b !== null ? Number(b) : undefined,
+          fuzzy,
+          maxEdits: maxEdits !== null ? Number(maxEdits) : null,
+          k,
+          minScore,
+          explain
+        });
+        Object.assign(output, { found: total > 0, total, results });
+        if (fuzzy) output.expansions = expansions;
+      } catch (err) {
+        if (!(err instanceof QueryParseError)) throw err;
+        console.error(`${err.message}\n  ${query}\n  ${" ".repeat(err.position)}^`);
+        process.exit(1);
+      }
+    } else if (mode === "cosine") {
+      // Binary stores carry their analyzer; JSON vectors use the config's.
+      const store = await VectorFile.detect(file) ? await VectorFile.open(file) : null;
+      const analyzer = new Analyzer(store ? store.header.analyzer : (await readConfig()).analyzer);
+      const qv = VectorEngine.vectorize(query, analyzer);
+      const scored = store ? store.cosines(qv) : (async function* () {
+        let id = 0;
+        for await (const v of readJSONArray(file)) {
+          const matched = Object.keys(qv).filter(term => v[term]);
+          yield { id: id++, score: VectorEngine.cosine(v, qv), matched, vector: () => v };
+        }
+      })();
+      const top = new TopK(k, better);
+      const df = Object.fromEntries(Object.keys(qv).map(term => [term, 0]));
+      let total = 0;
+      for await (const { id, score, matched, vector } of scored) {
+        if (score > 0 && score >= minScore) {
+          total++;
+          top.push(explain ? { id, score, vector } : { id, score });
+        }
+        for (const term of matched) df[term]++;
+      }
+      const results = top.sorted();
+      if (explain) {
+        // Cosine weighs every term alike: idf is reported as 1.
+        for (const hit of results) {
+          const explanation = VectorEngine.explain(hit.vector(), qv);
+          explanation.terms = explanation.terms.map(({ term, tf, queryTf, contribution }) =>
+            ({ term, tf, queryTf, df: df[term], idf: 1, contribution }));
+          delete hit.vector;
+          hit.explanation = explanation;
+        }
+      }
+      Object.assign(output, { found: total > 0, total, results });
+    } else {
+      console.error(`Unknown search mode: ${mode} (expected bm25 or cosine)`);
+      process.exit(1);
+    }
+
+    console.log(JSON.stringify(output, null, 2));
+    if (!output.found) process.exit(2);
+    return;
+  }
+
+  if (cmd === "verify") {
+    const [manifestFile, file] = args;
+    if (!manifestFile || !file) {
+      console.error("verify requires <manifest> <file>");
+      process.exit(1);
+    }
+
+    const from = getFlag(args, "--from");
+    const to = getFlag(args, "--to");
+    const range = from === null && to === null ? null : {
+      from: from === null ? 0 : Number(from),
+      to: to === null ? Infinity : Number(to)
+    };
+
+    const manifest = await readJSON(manifestFile);
+    if (manifest.command?.name === "run" && manifest.command.params?.sandbox &&
+        await needsVmModules()) {
+      return relaunch();
+    }
 
-    console.log(ranked.slice(0, 10));
+    // Records are read as the run read them, unless flags say otherwise.
+    const input = await inputOptions(args, file, manifest.input);
+    const partition = getFlag(args, "--partition");
+    const report = await verifyManifest(
+      manifest,
+      readDataset(file, input),
+      { range, partition: partition === null ? null : Number(partition) }
+    );
+    if (manifest.input && report.divergence?.field === "inputDigest" &&
+        canonicalize(input) !== canonicalize(manifest.input)) {
+      report.divergence.loader = { expected: manifest.input, actual: input };
+      console.error("Input loader options differ from the run's; its records were read differently");
+    }
+    console.log(report);
+    if (!report.verified) process.exit(2);
     return;
   }
 
@@ -222,6 +4619,44 @@ async function main() {
   process.exit(1);
 }
 
-if (typeof process !== "undefined") {
-  main();
+const PLEX = {
+  PlexRuntime,
+  ExecutionResult,
+  ExecutionError,
+  CancelledError,
+  Analyzer,
+  VectorEngine,
+  SparseEngine,
+  IndexFile,
+  SparseIndex,
+  QueryParseError,
+  parseQuery,
+  readDataset,
+  seededRandom,
+  Sandbox,
+  ExactSum,
+  REDUCERS,
+  groupReducer,
+  tupleReducer,
+  SandboxViolation,
+  canonicalize,
+  sha256
+};
+
+if (typeof module !== "undefined") {
+  module.exports = PLEX;
+} else if (typeof window !== "undefined") {
+  window.PLEX = PLEX;
+}
+
+if (typeof process !== "undefined" && typeof module !== "undefined" &&
+    require.main === module) {
+  import("worker_threads")
+    .then(({ isMainThread, parentPort, workerData }) =>
+      isMainThread ? main() : serveWorker(parentPort, workerData)
+    )
+    .catch(err => {
+      console.error(err.message);
+      process.exit(1);
+    });
 }